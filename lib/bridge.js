@@ -0,0 +1,2570 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto'); // ID生成用
+const { setTimeout: wait } = require('timers/promises');
+
+const { loadConfig, applyProfile, validateConfig, configError } = require('./config');
+const { findSimilarName, removeDiacritics, normalizeForMatching } = require('./text');
+const { parseDateParts, dateTimeToIso, formatDateInTimeZone } = require('./dates');
+const { getFieldValue, setFieldValue } = require('./fields');
+const { deriveImageFilename, downloadImage } = require('./images');
+const {
+    stableKey,
+    blockKey,
+    ensureUniqueKeys,
+    parseListItem,
+    DEFAULT_BLOCK_MAPPINGS,
+    buildCustomBlock,
+    detectBlockKind,
+    extractCode,
+    extractTableRows,
+    textToPortableBlock,
+    CONTAINER_POLICIES,
+    getContainerKind,
+    collectImageBlocks,
+    removeBlock,
+    getImageDetails,
+    parseCraftLink,
+    collectLinkHrefs,
+    collectBlockIds,
+    findMarkDefs,
+} = require('./portable-text');
+const { diffDocuments, printDiff } = require('./diff');
+const { createSource } = require('./sources');
+const { createDestination, createSanityDestination } = require('./destinations');
+const { getValidationRules, checkMetadata, checkContent, validationError } = require('./validation');
+const { getNetworkConfig, createLimiter } = require('./network');
+const { toLogger, getErrorCode } = require('./logger');
+
+// ==============================
+// Metadata types
+// ==============================
+// Types assumed for entries of `craft.metadata` given as a plain marker
+// string, matching what the bridge has always done for these keys.
+const LEGACY_METADATA_DEFINITIONS = {
+    author: { type: 'string', default: 'Unknown' },
+    category: { type: 'list', default: ['Uncategorized'] },
+    tags: { type: 'list' },
+    publishedDate: { type: 'datetime', target: 'publishedAt', default: 'now' },
+    featured: { type: 'boolean' },
+};
+
+// Each parser receives the raw value and the field definition, and throws
+// with a short reason when the value does not parse.
+const METADATA_PARSERS = {
+    string: (value) => value,
+    list: (value, definition) =>
+        value
+            .split(definition.separator ? definition.separator : /[,、]/)
+            .map((item) => item.trim())
+            .filter(Boolean),
+    boolean: (value) => {
+        const normalized = value.toLowerCase();
+        if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+        if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+        throw new Error('expected true/false, yes/no, on/off or 1/0');
+    },
+    number: (value) => {
+        const number = Number(value.replace(/,/g, ''));
+        if (value === '' || !Number.isFinite(number)) {
+            throw new Error('expected a number');
+        }
+        return number;
+    },
+    date: (value, definition) => {
+        const parts = parseDateParts(value);
+        if (!parts) throw new Error('expected a date such as 2025-11-30 or 30 Nov 2025');
+        if (parts.hasTime || parts.offset) {
+            return formatDateInTimeZone(new Date(dateTimeToIso(parts, definition.timezone)), definition.timezone);
+        }
+        return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+    },
+    datetime: (value, definition) => {
+        const parts = parseDateParts(value);
+        if (!parts) throw new Error('expected a date such as 2025-11-30 09:00 or 30 Nov 2025');
+        return dateTimeToIso(parts, definition.timezone);
+    },
+    url: (value) => {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw new Error('expected an absolute URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('expected an http(s) URL');
+        }
+        return url.toString();
+    },
+};
+
+function resolveMetadataDefault(definition) {
+    if (definition.default === 'now') {
+        const now = new Date();
+        return definition.type === 'date'
+            ? formatDateInTimeZone(now, definition.timezone)
+            : now.toISOString();
+    }
+    return definition.default;
+}
+
+// ==============================
+// Reference helpers
+// ==============================
+const MATCH_STRATEGIES = ['exact', 'case-insensitive', 'slug', 'fuzzy'];
+
+const CREATE_POLICIES = ['auto', 'fail', 'ask'];
+
+function buildReference(definition, id) {
+    const ref = { _type: 'reference', _ref: id };
+    if (definition.multiple) ref._key = stableKey(definition.type, id);
+    return ref;
+}
+
+// Asks a yes/no question on the terminal. Returns null when there is no
+// terminal to ask on.
+async function askYesNo(question) {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) return null;
+
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise((resolve) => rl.question(`  ? ${question} [y/N] `, resolve));
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+// ==============================
+// Sync helpers
+// ==============================
+// The revision reported in the document list, when Craft provides one.
+function getListRevision(doc) {
+    const revision =
+        doc.revision ??
+        doc.version ??
+        doc.lastModifiedAt ??
+        doc.modifiedAt ??
+        doc.updatedAt ??
+        doc.lastModified;
+    return revision === undefined || revision === null ? null : String(revision);
+}
+
+function hashBlocks(craftBlocks) {
+    return crypto
+        .createHash('sha1')
+        .update(JSON.stringify(craftBlocks))
+        .digest('hex');
+}
+
+// Resolves after `ms`, or as soon as `signal` is aborted.
+async function sleep(ms, signal) {
+    try {
+        await wait(ms, undefined, signal ? { signal } : {});
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+    }
+}
+
+// Errors for a missing document carry `code`, so callers can tell them
+// from failed syncs.
+function notFoundError(message) {
+    const error = new Error(message);
+    error.code = 'DOCUMENT_NOT_FOUND';
+    return error;
+}
+
+// References that could not be resolved under the create policy
+function referenceError(message) {
+    const error = new Error(message);
+    error.code = 'REFERENCE_NOT_FOUND';
+    return error;
+}
+
+// Config mistakes only found once the setting is used
+function invalidConfigError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CONFIG';
+    return error;
+}
+
+// Bad arguments to the bridge's methods, e.g. an unknown target name
+function usageError(message) {
+    const error = new Error(message);
+    error.code = 'USAGE';
+    return error;
+}
+
+// The folder reported in the document list, when Craft provides one.
+function getDocumentFolder(doc) {
+    const folder = doc.folder ?? doc.folderPath ?? doc.path ?? doc.location;
+    if (folder && typeof folder === 'object') {
+        return folder.path ?? folder.name ?? folder.title ?? null;
+    }
+    return folder ?? doc.folderName ?? null;
+}
+
+// `Changelog` matches both a folder named "Changelog" and a nested path
+// ending in it ("Website/Changelog").
+function matchesFolder(folder, expected) {
+    if (typeof folder !== 'string') return false;
+    const trim = (value) => normalizeForMatching(value).replace(/^\/+|\/+$/g, '');
+    const actual = trim(folder);
+    const wanted = trim(expected);
+    return actual === wanted || actual.endsWith(`/${wanted}`);
+}
+
+// ==============================
+// Bridge
+// ==============================
+// Creates a Craft → Sanity bridge. Nothing is read or connected at require
+// time; everything a sync needs is passed in:
+//
+//   config        parsed configuration (default: config.json / config.default.json in baseDir)
+//   profile       name of a `profiles` entry to merge over the configuration
+//   sanityClient  @sanity/client instance to write with, instead of one built from SANITY_* env
+//   source        source object, or options merged over `config.source`
+//   destination   destination object, or options merged over `config.destination`
+//   logger        console-compatible object (log, warn, error), or one from createLogger
+//   interactive   false to never ask questions on the terminal (e.g. in JSON mode)
+//   baseDir       directory relative paths, .image-cache.json and .sync-state.json resolve
+//                 against (default: the working directory)
+//
+// The configuration is validated here; errors throw, warnings are logged.
+// Methods return results and throw on failure; they never exit the process.
+function createBridge({
+    config = null,
+    profile = null,
+    sanityClient = null,
+    source = null,
+    destination = null,
+    logger = console,
+    interactive = true,
+    baseDir = process.cwd(),
+} = {}) {
+    config = config ? applyProfile(config, profile) : loadConfig({ baseDir, profile }).config;
+
+    // Warnings logged during a sync are also returned with its result
+    let syncReport = null;
+    const baseLogger = toLogger(logger);
+    logger = {
+        ...baseLogger,
+        warn: (...args) => {
+            syncReport?.warnings.push(util.format(...args).trim().replace(/^⚠\s*/u, ''));
+            baseLogger.warn(...args);
+        },
+    };
+    [process.env.SANITY_TOKEN, process.env.CRAFT_TOKEN].forEach((token) => logger.addSecret(token));
+
+    // Parsers registered on one bridge do not leak into others
+    const metadataParsers = { ...METADATA_PARSERS };
+
+    const { errors, warnings } = validateConfig(config, { metadataTypes: Object.keys(metadataParsers) });
+    if (errors.length > 0) throw configError(errors);
+    warnings.forEach((warning) => logger.warn(`  ⚠ ${warning.path}: ${warning.message}`));
+
+    const network = getNetworkConfig(config.network);
+    const limitImages = createLimiter(network.imageConcurrency);
+
+    let activeSource = source && typeof source.fetchBlocks === 'function' ? source : null;
+    let activeDestination = destination && typeof destination.transaction === 'function' ? destination : null;
+
+    // `tokenEnv` names the environment variable holding a token, so each
+    // profile can use its own.
+    function readToken(configPath, tokenEnv) {
+        if (!tokenEnv) return {};
+        if (!process.env[tokenEnv]) {
+            const error = new Error(`${configPath}: environment variable ${tokenEnv} is not set`);
+            error.code = 'MISSING_CREDENTIALS';
+            throw error;
+        }
+        logger.addSecret(process.env[tokenEnv]);
+        return { token: process.env[tokenEnv] };
+    }
+
+    function getSource() {
+        if (!activeSource) {
+            const options = { ...(config.source || {}), ...(source || {}) };
+            // craft.apiUrl / craft.tokenEnv take precedence over CRAFT_API_URL / CRAFT_TOKEN
+            const connection = (options.type || 'craft') === 'craft'
+                ? {
+                    ...(config.craft.apiUrl ? { apiUrl: config.craft.apiUrl } : {}),
+                    ...readToken('craft.tokenEnv', config.craft.tokenEnv),
+                }
+                : {};
+            logger.addSecret(options.token);
+            activeSource = createSource(
+                { ...connection, ...options },
+                { baseDir, logger, network, metadataDefinitions: getMetadataDefinitions },
+            );
+        }
+        return activeSource;
+    }
+
+    // The destination is created on first use, so a file sync does not need
+    // Sanity credentials.
+    function getDestination() {
+        if (!activeDestination) {
+            const options = { ...(config.destination || {}), ...(destination || {}) };
+            // sanity.projectId / dataset / tokenEnv take precedence over SANITY_* env
+            const connection = (options.type || 'sanity') === 'sanity'
+                ? {
+                    ...(config.sanity.projectId ? { projectId: config.sanity.projectId } : {}),
+                    ...(config.sanity.dataset ? { dataset: config.sanity.dataset } : {}),
+                    ...readToken('sanity.tokenEnv', config.sanity.tokenEnv),
+                }
+                : {};
+            logger.addSecret(options.token || sanityClient?.config().token);
+            activeDestination = sanityClient && !destination
+                ? createSanityDestination({ client: sanityClient }, { network, logger })
+                : createDestination({ ...connection, ...options }, { baseDir, network, logger });
+        }
+        return activeDestination;
+    }
+
+    // ==============================
+    // Slugs
+    // ==============================
+    let slugTransliterator;
+
+    // `slug.transliterate` names a module (a path relative to baseDir, or an
+    // installed package) exporting `(text) => string`, e.g. to
+    // turn Japanese into romaji before slugging.
+    function getSlugTransliterator() {
+        if (slugTransliterator !== undefined) return slugTransliterator;
+
+        const modulePath = config.slug?.transliterate;
+        if (!modulePath) {
+            slugTransliterator = null;
+            return slugTransliterator;
+        }
+
+        const loaded = require(
+            modulePath.startsWith('.') ? path.resolve(baseDir, modulePath) : modulePath,
+        );
+        slugTransliterator = loaded.transliterate || loaded.default || loaded;
+        return slugTransliterator;
+    }
+
+    function getSlugConfig() {
+        return {
+            allowUnicode: false,
+            maxLength: 96,
+            fallback: 'hash',
+            ...(config.slug || {}),
+        };
+    }
+
+    // May return '' when the text has nothing slug-safe left (e.g. a
+    // Japanese title without a transliterator and without `allowUnicode`)
+    function toSlug(text) {
+        const slugConfig = getSlugConfig();
+
+        let value = (text || '').normalize('NFKC');
+        const transliterate = getSlugTransliterator();
+        if (transliterate) {
+            value = String(transliterate(value) || '');
+        }
+        value = removeDiacritics(value.toLowerCase());
+
+        let slug = slugConfig.allowUnicode
+            ? value.replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+            : value.replace(/[^a-z0-9]+/g, '-');
+        slug = slug.replace(/^-+|-+$/g, '');
+
+        if (slug.length > slugConfig.maxLength) {
+            // Cut at the last word boundary that fits
+            const cut = slug.substring(0, slugConfig.maxLength);
+            slug = cut.replace(/-+[^-]*$/, '') || cut;
+        }
+        return slug;
+    }
+
+    // Never returns an empty slug: `slug.fallback` decides what to use
+    // instead. `hash` (default) gives `<prefix>-<hash of the text>` and `id`
+    // gives `<prefix>-<fallbackId>`. An empty text always uses the id when one
+    // is given, since hashing it would make every such slug equal.
+    function slugify(text, { fallbackPrefix = 'item', fallbackId = null } = {}) {
+        const slug = toSlug(text);
+        if (slug) return slug;
+
+        if (fallbackId && (getSlugConfig().fallback === 'id' || !text)) {
+            return `${fallbackPrefix}-${String(fallbackId).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        }
+        const hash = crypto.createHash('sha1').update(text || '').digest('hex').substring(0, 8);
+        return `${fallbackPrefix}-${hash}`;
+    }
+
+    // ==============================
+    // Image cache (Craft URL → Sanity asset)
+    // ==============================
+    const IMAGE_CACHE_PATH = path.join(baseDir, '.image-cache.json');
+
+    // Entries are scoped per destination (project/dataset, or output
+    // directory), since asset IDs are only valid where they were uploaded to.
+    const imageCache = {
+        scope: null,
+        entries: {},
+        refresh: false,
+        dryRun: false,
+        // sha1 → asset ID for images handled during this run
+        seen: new Map(),
+        // Images a dry run would have uploaded
+        pendingUploads: [],
+        // Images uploaded during the current sync (cleaned up if it fails)
+        uploaded: [],
+        // Images that could not be uploaded during the current sync
+        failed: [],
+        // URL → pending or finished transfer, shared by every use of the image
+        transfers: new Map(),
+        // sha1 → upload in progress, so identical bytes are stored once
+        storing: new Map(),
+    };
+
+    function loadImageCache({ refresh = false, dryRun = false } = {}) {
+        imageCache.scope = getDestination().scope;
+        imageCache.refresh = refresh;
+        imageCache.dryRun = dryRun;
+        imageCache.seen.clear();
+        imageCache.transfers.clear();
+        imageCache.pendingUploads = [];
+
+        if (!fs.existsSync(IMAGE_CACHE_PATH)) return;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(IMAGE_CACHE_PATH, 'utf8'));
+            imageCache.entries = stored[imageCache.scope] || {};
+        } catch (error) {
+            logger.warn(`  ⚠ Ignoring unreadable image cache: ${error.message}`);
+            imageCache.entries = {};
+        }
+    }
+
+    function saveImageCache() {
+        let stored = {};
+        if (fs.existsSync(IMAGE_CACHE_PATH)) {
+            try {
+                stored = JSON.parse(fs.readFileSync(IMAGE_CACHE_PATH, 'utf8'));
+            } catch (error) {
+                stored = {};
+            }
+        }
+        stored[imageCache.scope] = imageCache.entries;
+        fs.writeFileSync(IMAGE_CACHE_PATH, JSON.stringify(stored, null, 2));
+    }
+
+    function rememberImage(imageUrl, assetId, sha1hash) {
+        imageCache.entries[imageUrl] = {
+            assetId,
+            sha1hash,
+            cachedAt: new Date().toISOString(),
+        };
+        imageCache.seen.set(sha1hash, assetId);
+        if (!imageCache.dryRun) saveImageCache();
+    }
+
+    function forgetImage(imageUrl) {
+        const entry = imageCache.entries[imageUrl];
+        if (!entry) return;
+        delete imageCache.entries[imageUrl];
+        imageCache.seen.delete(entry.sha1hash);
+        if (!imageCache.dryRun) saveImageCache();
+    }
+
+    async function assetExists(assetId) {
+        return Boolean(await getDestination().getDocument(assetId));
+    }
+
+    async function findAssetBySha1(sha1hash) {
+        return await getDestination().findAssetBySha1(sha1hash);
+    }
+
+    // ==============================
+    // Image upload helper
+    // ==============================
+    // Images are downloaded and uploaded up to `network.imageConcurrency` at
+    // a time. Each URL is transferred once per sync; callers share the
+    // result, so conversion can await images in body order.
+    function uploadImageFromUrl(imageUrl, filename = null) {
+        if (!imageCache.transfers.has(imageUrl)) {
+            imageCache.transfers.set(imageUrl, limitImages(() => transferImage(imageUrl, filename)));
+        }
+        return imageCache.transfers.get(imageUrl);
+    }
+
+    // Waits for every transfer started during the current sync, including
+    // prefetched images conversion never got to, so none of them finishes
+    // after its sync's uploads were cleaned up or reset.
+    async function settleImageTransfers() {
+        await Promise.allSettled(imageCache.transfers.values());
+    }
+
+    // Starts the transfers for every image the body conversion will need.
+    // Containers that are skipped are left out.
+    function prefetchImages(blocks) {
+        for (const block of blocks || []) {
+            if (block.type === 'image' && block.url) uploadImageFromUrl(block.url);
+
+            const container = getContainerKind(block);
+            if (!container || getContainerConfig(container).policy !== 'skip') {
+                prefetchImages(block.content);
+            }
+        }
+    }
+
+    async function transferImage(imageUrl, filename) {
+        try {
+            // A local file can change under the same URL, so it is always
+            // read and matched by hash instead
+            const cached = imageUrl.startsWith('file:') ? null : imageCache.entries[imageUrl];
+            if (cached && !imageCache.refresh && (await assetExists(cached.assetId))) {
+                logger.verbose(`    ✓ Image cached: ${cached.assetId}`);
+                return cached.assetId;
+            }
+
+            logger.verbose(`    ${imageUrl.startsWith('file:') ? 'Reading' : 'Downloading'} image from: ${imageUrl}`);
+            const { buffer, contentType } = await downloadImage(imageUrl, { network, logger });
+            const sha1hash = crypto.createHash('sha1').update(buffer).digest('hex');
+
+            // Identical bytes reuse one asset, even under --refresh-images,
+            // including bytes another transfer is storing right now. Nothing
+            // is awaited between this check and registering the upload below.
+            const storing = imageCache.storing.get(sha1hash);
+            const seenAssetId = imageCache.seen.get(sha1hash) || (storing && (await storing));
+            if (seenAssetId) {
+                logger.verbose(`    ✓ Same image as ${seenAssetId}`);
+                rememberImage(imageUrl, seenAssetId, sha1hash);
+                return seenAssetId;
+            }
+
+            const stored = storeImage(imageUrl, filename, { buffer, contentType, sha1hash });
+            imageCache.storing.set(sha1hash, stored.catch(() => null));
+            try {
+                return await stored;
+            } finally {
+                imageCache.storing.delete(sha1hash);
+            }
+        } catch (error) {
+            logger.error(`    ✗ Image upload failed (${imageUrl}):`, error.message);
+            imageCache.failed.push({ url: imageUrl, error: error.message });
+            return null;
+        }
+    }
+
+    // Finds or uploads the asset for downloaded image bytes → asset ID
+    async function storeImage(imageUrl, filename, { buffer, contentType, sha1hash }) {
+        if (!imageCache.refresh) {
+            const existingAssetId = await findAssetBySha1(sha1hash);
+            if (existingAssetId) {
+                logger.verbose(`    ✓ Image already in Sanity: ${existingAssetId}`);
+                rememberImage(imageUrl, existingAssetId, sha1hash);
+                return existingAssetId;
+            }
+        }
+
+        const assetFilename = filename || deriveImageFilename(imageUrl, contentType);
+
+        if (imageCache.dryRun) {
+            const placeholderId = `dry-run.new-asset.${sha1hash}`;
+            logger.log(`    → Would upload ${assetFilename} (${buffer.length} bytes)`);
+            imageCache.pendingUploads.push({ url: imageUrl, filename: assetFilename, bytes: buffer.length });
+            imageCache.seen.set(sha1hash, placeholderId);
+            return placeholderId;
+        }
+
+        logger.verbose(`    Uploading ${assetFilename} to Sanity... (${buffer.length} bytes)`);
+
+        const assetId = await getDestination().uploadAsset(buffer, {
+            filename: assetFilename,
+            contentType: contentType,
+            source: {
+                name: getSource().name,
+                id: imageUrl,
+                ...(imageUrl.startsWith('file:') ? {} : { url: imageUrl }),
+            },
+        });
+
+        logger.log(`    ✓ Image uploaded: ${assetId}`);
+        logger.event('asset.uploaded', { url: imageUrl, assetId, filename: assetFilename, bytes: buffer.length });
+        rememberImage(imageUrl, assetId, sha1hash);
+        imageCache.uploaded.push({ url: imageUrl, assetId });
+        return assetId;
+    }
+
+    // ==============================
+    // Single document sync
+    // ==============================
+    // Runs steps 2-6 for one Craft document. All document mutations (new
+    // authors, new categories and the post or page) are committed in one transaction,
+    // so a failure leaves nothing half-written. `craftBlocks` can be passed in
+    // when the caller already fetched them.
+    async function syncDocument(
+        targetDoc,
+        { isDraft = false, dryRun = false, cleanupAssets = false, craftBlocks = null } = {},
+    ) {
+        // Linked documents synced first share the outer sync's link cache
+        const ownsLinkCache = !linkCache;
+        if (ownsLinkCache) linkCache = createLinkCache();
+        linkCache.inProgress.add(targetDoc.id);
+
+        try {
+            logger.event('document.started', { id: targetDoc.id, title: targetDoc.title, isDraft, dryRun });
+
+            // 2. Fetch document blocks from Craft
+            logger.log('[2/6] Fetching document blocks...');
+            if (!craftBlocks) {
+                craftBlocks = await getSource().fetchBlocks(targetDoc.id);
+            }
+            const pageBlock = craftBlocks[0];
+            if (!pageBlock) {
+                const error = new Error(`Source "${getSource().name}" returned no blocks for document ${targetDoc.id}`);
+                error.code = 'SOURCE_ERROR';
+                throw error;
+            }
+            logger.verbose(`  Document fetched: ${(pageBlock.markdown || '').substring(0, 50)}...`);
+            logger.log('');
+
+            if (getLinksConfig().onMissing === 'sync') {
+                await syncLinkedDocuments(craftBlocks, targetDoc, { isDraft, dryRun, cleanupAssets });
+            }
+            return await syncDocumentContent(targetDoc, pageBlock, { isDraft, dryRun, cleanupAssets });
+        } finally {
+            // Looked up again next time: it may exist in Sanity now
+            linkCache.synced.delete(targetDoc.id);
+            linkCache.inProgress.delete(targetDoc.id);
+            if (ownsLinkCache) linkCache = null;
+        }
+    }
+
+    // Steps 3-6 of syncDocument, once linked documents are synced.
+    async function syncDocumentContent(targetDoc, pageBlock, { isDraft, dryRun, cleanupAssets }) {
+        await settleImageTransfers();
+        imageCache.pendingUploads = [];
+        imageCache.uploaded = [];
+        imageCache.failed = [];
+        imageCache.transfers.clear();
+        syncReport = { references: [], warnings: [] };
+        const transaction = getDestination().transaction();
+
+        try {
+
+            // 3. Extract metadata from Craft blocks
+            logger.log('[3/6] Extracting metadata...');
+            const { metadata, defaulted } = readMetadata(pageBlock);
+            logger.verbose('  Metadata:', metadata);
+            const target = routeDocument(targetDoc, metadata);
+            logger.log(`  Target: ${target.name} (${target.type})`);
+
+            // Checked before references are resolved, so a missing author
+            // is not created as "Unknown"
+            const problems = checkMetadata(metadata, target.validation, {
+                defaulted,
+                isSlug: (slug) => toSlug(slug) === slug,
+                conflict: target.validation.severity.uniqueSlug === 'off'
+                    ? null
+                    : await findSlugConflict({ craftId: targetDoc.id, slug: metadata.slug }, target),
+            });
+            reportProblems(problems, { isDraft, title: metadata.title });
+            logger.log('');
+
+            // 4. Resolve or create referenced documents (author, categories, ...)
+            logger.log('[4/6] Resolving references...');
+            const references = await resolveReferences(metadata, {
+                dryRun,
+                transaction,
+                keys: target.references,
+                defaulted,
+            });
+            for (const [key, value] of Object.entries(references)) {
+                logger.debug(`  ${key}:`, value);
+            }
+            logger.log('');
+
+            // 5. Convert Craft content to Portable Text and upload images
+            logger.log('[5/6] Converting content...');
+            // An empty export or Markdown file has a page block without content
+            const content = pageBlock.content || [];
+            const mainImageBlock = extractMainImage(content, metadata);
+
+            // The main image is not repeated in the body
+            const bodyBlocks = mainImageBlock ? removeBlock(content, mainImageBlock) : content;
+            if (mainImageBlock) uploadImageFromUrl(mainImageBlock.url);
+            prefetchImages(bodyBlocks);
+
+            let mainImageRef = null;
+            if (mainImageBlock) {
+                logger.verbose('  Uploading main image...');
+                const mainImageAssetId = await uploadImageFromUrl(mainImageBlock.url);
+                if (mainImageAssetId) {
+                    mainImageRef = buildImageObject(mainImageAssetId, mainImageBlock, null, target);
+                }
+            }
+
+            const body = await convertToPortableText(bodyBlocks, { target });
+            logger.log(`  Content converted: ${body.length} blocks`);
+            const unresolvedLinks = await resolveDocumentLinks(body, targetDoc, { isDraft });
+            reportProblems(
+                checkContent({ body, failedImages: imageCache.failed, unresolvedLinks }, target.validation),
+                { isDraft, title: metadata.title },
+            );
+            logger.log('');
+
+            // 6. Create or update the document in Sanity
+            logger.log(`[6/6] Creating or updating ${target.type} (${getDestination().name})...`);
+            const slug = metadata.slug;
+
+            // Every metadata value is passed on, so custom keys reach the
+            // target's `fields` without code changes.
+            const result = await createOrUpdateSanityDocument(
+                {
+                    ...metadata,
+                    craftId: targetDoc.id,
+                    slug: slug,
+                    ...references,
+                    body: body,
+                    mainImage: mainImageRef,
+                },
+                isDraft,
+                { dryRun, transaction, target },
+            );
+
+            const report = {
+                references: syncReport.references,
+                assets: [...imageCache.uploaded],
+                warnings: syncReport.warnings,
+            };
+            if (dryRun) return { ...result, target: target.name, slug, ...report };
+
+            logger.verbose(`  Committing ${transaction.toJSON().length} mutation(s) in one transaction...`);
+            const documents = await transaction.commit({ returnDocuments: true });
+            const post = documents.find((doc) => doc._id === result.postId);
+
+            logger.event('document.synced', {
+                id: targetDoc.id,
+                title: targetDoc.title,
+                postId: post._id,
+                status: result.created ? 'created' : 'updated',
+                published: !post._id.startsWith('drafts.'),
+                target: target.name,
+                slug,
+                ...report,
+            });
+            return {
+                post,
+                created: result.created,
+                previousSlug: result.previousSlug,
+                target: target.name,
+                slug,
+                ...report,
+            };
+        } catch (error) {
+            // Prefetched images may still be uploading
+            await settleImageTransfers();
+            await handleOrphanedAssets(error, { cleanupAssets });
+            throw error;
+        } finally {
+            syncReport = null;
+        }
+    }
+
+    // ==============================
+    // Links between documents
+    // ==============================
+    // `sanity.links` sets the annotation a link to another synced document
+    // becomes, and what happens when that document is not synced yet:
+    // `placeholder` (default) leaves the annotation without a reference,
+    // `sync` syncs the linked document first.
+    function getLinksConfig() {
+        return {
+            type: 'internalLink',
+            onMissing: 'placeholder',
+            ...(config.sanity.links || {}),
+            fields: {
+                reference: 'reference',
+                craftId: 'craftDocumentId',
+                ...(config.sanity.links?.fields || {}),
+            },
+        };
+    }
+
+    // Per top-level sync, `sync --all` run or watch cycle: the source's
+    // documents, block ID → document ID, the Sanity documents found for
+    // linked documents and the documents being synced (so two documents
+    // linking each other do not loop).
+    let linkCache = null;
+
+    function createLinkCache(documents = null) {
+        return { documents, blockIndex: null, synced: new Map(), inProgress: new Set() };
+    }
+
+    // The source document `href` points at → { id, doc }, where `doc` is
+    // null when it is not in the source. Null for any other link.
+    async function findLinkedDocument(href, fromDoc) {
+        const source = getSource();
+        const link = source.resolveLink
+            ? await source.resolveLink(href, fromDoc.id)
+            : parseCraftLink(href) && { blockId: parseCraftLink(href) };
+        if (!link) return null;
+
+        linkCache.documents = linkCache.documents || (await source.listDocuments());
+        const byId = (id) => linkCache.documents.find((doc) => doc.id === id) || null;
+        const id = link.documentId || link.blockId;
+        if (byId(id) || link.documentId) return { id, doc: byId(id) };
+
+        // A link to a block inside a document: index every document once
+        if (!linkCache.blockIndex) {
+            logger.verbose(`  Indexing ${linkCache.documents.length} documents to resolve block links...`);
+            linkCache.blockIndex = new Map();
+            for (const doc of linkCache.documents) {
+                for (const blockId of collectBlockIds(await source.fetchBlocks(doc.id))) {
+                    linkCache.blockIndex.set(blockId, doc.id);
+                }
+            }
+        }
+        return { id, doc: byId(linkCache.blockIndex.get(id)) };
+    }
+
+    // The Sanity document synced from `doc`, looked up by Craft ID, then
+    // slug → { _id, weak } or null. In draft mode a document that only
+    // exists as a draft is referenced weakly by its published ID.
+    async function findLinkedTarget(doc, { isDraft }) {
+        if (linkCache.synced.has(doc.id)) return linkCache.synced.get(doc.id);
+
+        const [pageBlock] = await getSource().fetchBlocks(doc.id);
+        const { metadata } = readMetadata(pageBlock);
+        const target = routeDocument(doc, metadata);
+        const lookup = { craftId: doc.id, slug: metadata.slug };
+
+        let found = null;
+        const published = await findExistingDocument(lookup, { target });
+        if (published) {
+            found = { _id: published._id, weak: false };
+        } else if (isDraft) {
+            const draft = await findExistingDocument(lookup, { drafts: true, target });
+            if (draft) found = { _id: draft._id.replace(/^drafts\./, ''), weak: true };
+        }
+        linkCache.synced.set(doc.id, found);
+        return found;
+    }
+
+    // Replaces `link` annotations pointing at another source document with
+    // `sanity.links.type` annotations referencing its Sanity document.
+    // → the links whose document is not synced yet
+    async function resolveDocumentLinks(body, fromDoc, { isDraft }) {
+        const links = getLinksConfig();
+        const unresolved = [];
+
+        for (const { block, index } of findMarkDefs(body)) {
+            const markDef = block.markDefs[index];
+            if (markDef._type !== 'link' || !markDef.href) continue;
+
+            let linked;
+            let found;
+            try {
+                linked = await findLinkedDocument(markDef.href, fromDoc);
+                if (!linked) continue;
+                if (!linked.doc) {
+                    logger.warn(`  ⚠ Link ${markDef.href} points to a document that is not in source "${getSource().name}" - kept as a link`);
+                    continue;
+                }
+                found = await findLinkedTarget(linked.doc, { isDraft });
+            } catch (error) {
+                logger.warn(`  ⚠ Could not resolve link ${markDef.href}: ${error.message} - kept as a link`);
+                continue;
+            }
+
+            const title = linked.doc.title || 'Untitled';
+            const annotation = { _type: links.type, _key: markDef._key };
+            if (found) {
+                setFieldValue(annotation, links.fields.reference, {
+                    _type: 'reference',
+                    _ref: found._id,
+                    ...(found.weak ? { _weak: true } : {}),
+                });
+                logger.verbose(`  ✓ Link to "${title}" → ${found._id}`);
+            } else {
+                if (links.fields.craftId) setFieldValue(annotation, links.fields.craftId, linked.doc.id);
+                unresolved.push({ id: linked.doc.id, title, href: markDef.href });
+            }
+            block.markDefs[index] = annotation;
+        }
+
+        return unresolved;
+    }
+
+    // With `sanity.links.onMissing: "sync"`, linked documents that have no
+    // Sanity document yet are synced before the document linking to them.
+    async function syncLinkedDocuments(craftBlocks, fromDoc, { isDraft, dryRun, cleanupAssets }) {
+        const seen = new Set();
+        for (const href of collectLinkHrefs(craftBlocks)) {
+            let linked;
+            try {
+                linked = await findLinkedDocument(href, fromDoc);
+                if (!linked?.doc || seen.has(linked.doc.id) || linkCache.inProgress.has(linked.doc.id)) continue;
+                seen.add(linked.doc.id);
+                if (await findLinkedTarget(linked.doc, { isDraft })) continue;
+            } catch (error) {
+                continue;
+            }
+
+            const title = linked.doc.title || 'Untitled';
+            if (dryRun) {
+                logger.log(`  → Would sync linked document "${title}" first`);
+                continue;
+            }
+
+            logger.log(`  ↳ Syncing linked document "${title}" first...\n`);
+            try {
+                await syncDocument(linked.doc, { isDraft, cleanupAssets });
+                logger.log(`  ↳ Back to "${fromDoc.title || 'Untitled'}"\n`);
+            } catch (error) {
+                logger.warn(`  ⚠ Linked document "${title}" could not be synced: ${error.message}`);
+            }
+        }
+    }
+
+    // Prints validation problems. In publish mode errors stop the sync; a
+    // draft is written anyway, with every problem reported as a warning.
+    function reportProblems(problems, { isDraft, title }) {
+        const blocking = isDraft ? [] : problems.filter((problem) => problem.severity === 'error');
+        problems
+            .filter((problem) => !blocking.includes(problem))
+            .forEach((problem) => logger.warn(`  ⚠ ${problem.field}: ${problem.message}`));
+        if (blocking.length > 0) {
+            throw validationError(blocking, title);
+        }
+    }
+
+    // Assets cannot be part of a transaction, so images uploaded before a
+    // failed commit are reported and, with --cleanup-assets, deleted again.
+    async function handleOrphanedAssets(error, { cleanupAssets = false } = {}) {
+        const uploaded = imageCache.uploaded || [];
+        if (uploaded.length === 0) return;
+
+        error.orphanedAssets = uploaded.map((upload) => upload.assetId);
+
+        if (!cleanupAssets) {
+            logger.warn(`  ⚠ ${uploaded.length} asset(s) uploaded before the failure were left in Sanity:`);
+            uploaded.forEach((upload) => logger.warn(`    - ${upload.assetId} (${upload.url})`));
+            logger.warn('    Re-run with --cleanup-assets to delete them on failure.');
+            return;
+        }
+
+        logger.log(`  Cleaning up ${uploaded.length} uploaded asset(s)...`);
+        for (const upload of uploaded) {
+            try {
+                await getDestination().deleteAsset(upload.assetId);
+                forgetImage(upload.url);
+                logger.log(`    ✓ Deleted ${upload.assetId}`);
+            } catch (deleteError) {
+                logger.warn(`    ✗ Could not delete ${upload.assetId}: ${deleteError.message}`);
+            }
+        }
+        error.orphanedAssets = [];
+    }
+
+    // ==============================
+    // Folder sync (--all) & sync state
+    // ==============================
+    const SYNC_STATE_PATH = path.join(baseDir, '.sync-state.json');
+
+    function loadSyncState() {
+        if (!fs.existsSync(SYNC_STATE_PATH)) return {};
+        try {
+            const stored = JSON.parse(fs.readFileSync(SYNC_STATE_PATH, 'utf8'));
+            return stored[getDestination().scope] || {};
+        } catch (error) {
+            logger.warn(`  ⚠ Ignoring unreadable sync state: ${error.message}`);
+            return {};
+        }
+    }
+
+    function saveSyncState(state) {
+        let stored = {};
+        if (fs.existsSync(SYNC_STATE_PATH)) {
+            try {
+                stored = JSON.parse(fs.readFileSync(SYNC_STATE_PATH, 'utf8'));
+            } catch (error) {
+                stored = {};
+            }
+        }
+        stored[getDestination().scope] = state;
+        fs.writeFileSync(SYNC_STATE_PATH, JSON.stringify(stored, null, 2));
+    }
+
+    // The revision recorded for `doc`: the list revision, or a hash of its
+    // blocks for sources that report none → { revision, craftBlocks }
+    // (the fetched blocks, or null)
+    async function readRevision(doc) {
+        const revision = getListRevision(doc);
+        if (revision) return { revision, craftBlocks: null };
+        const craftBlocks = await getSource().fetchBlocks(doc.id);
+        return { revision: `sha1:${hashBlocks(craftBlocks)}`, craftBlocks };
+    }
+
+    // Records a finished sync, so status, list, sync --all and watch know
+    // the document is up to date
+    function recordSync(doc, { revision, mode, postId, target, slug }) {
+        const state = loadSyncState();
+        state[doc.id] = {
+            title: doc.title || 'Untitled',
+            revision,
+            mode,
+            postId,
+            target,
+            slug,
+            syncedAt: new Date().toISOString(),
+        };
+        saveSyncState(state);
+    }
+
+    async function syncAllDocuments({
+        isDraft = false,
+        force = false,
+        dryRun = false,
+        cleanupAssets = false,
+    } = {}) {
+        const mode = isDraft ? 'draft' : 'published';
+        const state = loadSyncState();
+        const results = [];
+
+        logger.log('Fetching document list...');
+        const documents = await getSource().listDocuments();
+        logger.log(`  ${documents.length} documents found\n`);
+
+        // Documents share one link cache, so the source is listed and
+        // indexed once
+        linkCache = createLinkCache(documents);
+        try {
+            for (const [index, doc] of documents.entries()) {
+                const title = doc.title || 'Untitled';
+                const previous = state[doc.id];
+                logger.log(`\n━━ (${index + 1}/${documents.length}) ${title} ━━`);
+
+                try {
+                    // Documents without a list revision are compared by content
+                    const { revision, craftBlocks } = await readRevision(doc);
+
+                    if (
+                        !force &&
+                        previous &&
+                        previous.revision === revision &&
+                        previous.mode === mode
+                    ) {
+                        logger.log('  → Unchanged since last sync, skipping');
+                        logger.event('document.skipped', { id: doc.id, title });
+                        results.push({
+                            status: 'skipped',
+                            title,
+                            id: doc.id,
+                            target: previous.target,
+                            postId: previous.postId,
+                        });
+                        continue;
+                    }
+
+                    const { post, created, previousSlug, target, slug, references, assets, warnings } = await syncDocument(doc, {
+                        isDraft,
+                        dryRun,
+                        cleanupAssets,
+                        craftBlocks,
+                    });
+
+                    if (!dryRun) {
+                        recordSync(doc, { revision, mode, postId: post._id, target, slug });
+                    }
+
+                    results.push({
+                        status: created ? 'created' : 'updated',
+                        title,
+                        id: doc.id,
+                        target,
+                        postId: post._id,
+                        previousSlug,
+                        references,
+                        assets,
+                        warnings,
+                    });
+                } catch (error) {
+                    logger.error(`  ✗ Sync failed: ${error.message}`);
+                    logger.debug(error.stack);
+                    logger.event('document.failed', { id: doc.id, title, error: { code: getErrorCode(error), message: error.message } });
+                    results.push({ status: 'failed', title, id: doc.id, error: error.message, code: getErrorCode(error) });
+                }
+            }
+        } finally {
+            linkCache = null;
+        }
+
+        return results;
+    }
+
+    // ==============================
+    // Watch mode
+    // ==============================
+    // Polls the source every `interval` ms and re-syncs changed documents as
+    // drafts; it never publishes. Changes are detected by content hash, and
+    // a document is synced once it has stayed unchanged for `debounce` ms,
+    // so a writer's every pause does not start a sync. A failed document is
+    // retried after a delay that doubles up to `maxBackoff`. `ids` limits
+    // the watch to some documents. The first poll only records what every
+    // document looks like; with `catchUp`, documents that changed since
+    // their last recorded sync (or were never synced) are synced right
+    // away instead. Runs until `signal` is aborted; a sync in progress is
+    // finished first.
+    async function watchDocuments({
+        interval = 30000,
+        debounce = 10000,
+        maxBackoff = 600000,
+        ids = null,
+        catchUp = false,
+        signal = null,
+    } = {}) {
+        const backoff = (failures) => Math.min(interval * 2 ** failures, maxBackoff);
+        // id → { hash, syncedHash, listRevision, changedAt, failures, retryAt }
+        const tracked = new Map();
+        const totals = { synced: 0, failed: 0 };
+        let listFailures = 0;
+        let firstPoll = true;
+
+        while (!signal?.aborted) {
+            let documents;
+            try {
+                documents = await getSource().listDocuments();
+                listFailures = 0;
+            } catch (error) {
+                listFailures += 1;
+                const delay = backoff(listFailures);
+                logger.error(`  ✗ Could not fetch the document list: ${error.message} - retrying in ${Math.round(delay / 1000)}s`);
+                await sleep(delay, signal);
+                continue;
+            }
+            // One link cache per poll, over every document: the watched ones
+            // may link outside `ids`
+            linkCache = createLinkCache(documents);
+            if (ids) documents = documents.filter((doc) => ids.includes(doc.id));
+
+            // Another process may have synced since the last poll
+            const state = loadSyncState();
+            try {
+                for (const doc of documents) {
+                    if (signal?.aborted) break;
+
+                    const title = doc.title || 'Untitled';
+                    const entry = tracked.get(doc.id) || {
+                        hash: null,
+                        syncedHash: null,
+                        listRevision: null,
+                        // With catchUp, documents edited while nobody was watching sync right away
+                        changedAt: firstPoll ? 0 : Date.now(),
+                        failures: 0,
+                        retryAt: 0,
+                    };
+                    tracked.set(doc.id, entry);
+                    if (entry.retryAt > Date.now()) continue;
+
+                    try {
+                        // An unchanged list revision means unchanged content
+                        const listRevision = getListRevision(doc);
+                        if (listRevision && listRevision === entry.listRevision && entry.syncedHash === entry.hash) continue;
+
+                        const craftBlocks = await getSource().fetchBlocks(doc.id);
+                        const hash = hashBlocks(craftBlocks);
+                        const revision = listRevision || `sha1:${hash}`;
+                        if (entry.hash === null) {
+                            const baseline = firstPoll && !catchUp;
+                            if (baseline || state[doc.id]?.revision === revision) entry.syncedHash = hash;
+                        } else if (entry.hash !== hash) {
+                            entry.changedAt = Date.now();
+                            logger.log(`  ✎ "${title}" changed`);
+                        }
+                        entry.hash = hash;
+                        entry.listRevision = listRevision;
+                        if (entry.syncedHash === hash || Date.now() - entry.changedAt < debounce) continue;
+
+                        logger.log(`\n━━ ${title} (${new Date().toLocaleTimeString()}) ━━`);
+                        const { post, target, slug } = await syncDocument(doc, { isDraft: true, craftBlocks });
+                        entry.syncedHash = hash;
+                        entry.failures = 0;
+                        totals.synced += 1;
+
+                        recordSync(doc, { revision, mode: 'draft', postId: post._id, target, slug });
+                        logger.log(`  ✓ Draft updated: ${post._id}`);
+                    } catch (error) {
+                        entry.failures += 1;
+                        entry.retryAt = Date.now() + backoff(entry.failures);
+                        totals.failed += 1;
+                        logger.error(
+                            `  ✗ "${title}" failed: ${error.message} - retrying in ${Math.round(backoff(entry.failures) / 1000)}s`,
+                        );
+                        logger.debug(error.stack);
+                        logger.event('document.failed', { id: doc.id, title, error: { code: getErrorCode(error), message: error.message } });
+                    }
+                }
+            } finally {
+                linkCache = null;
+            }
+
+            // Forget documents that left the source
+            const listed = new Set(documents.map((doc) => doc.id));
+            for (const id of tracked.keys()) {
+                if (!listed.has(id)) tracked.delete(id);
+            }
+            firstPoll = false;
+
+            // Poll again sooner when a change is waiting for its debounce
+            const waiting = [...tracked.values()]
+                .filter((entry) => entry.hash !== null && entry.syncedHash !== entry.hash && entry.retryAt <= Date.now())
+                .map((entry) => entry.changedAt + debounce - Date.now());
+            const nextPoll = waiting.length > 0 ? Math.max(1000, Math.min(...waiting)) : interval;
+            await sleep(Math.min(interval, nextPoll), signal);
+        }
+
+        return totals;
+    }
+
+    // ==============================
+    // Metadata extraction
+    // ==============================
+    // Registers a parser for a custom metadata type on this bridge.
+    function registerMetadataParser(type, parser) {
+        metadataParsers[type] = parser;
+    }
+
+    // Custom types can also be declared in `craft.parsers` as a module path
+    // (relative to baseDir) exporting the parser function.
+    function getMetadataParser(type) {
+        if (metadataParsers[type]) return metadataParsers[type];
+
+        const modulePath = config.craft.parsers?.[type];
+        if (modulePath) {
+            const parser = require(path.resolve(baseDir, modulePath));
+            registerMetadataParser(type, parser.default || parser);
+            return metadataParsers[type];
+        }
+
+        throw invalidConfigError(`Unknown metadata type "${type}" (declare it in craft.parsers)`);
+    }
+
+    // Normalizes `craft.metadata` into a list of field definitions. Entries
+    // can be a marker string or an object with `marker`, `type`, `target`,
+    // `required`, `default` and type options (`timezone`, `separator`).
+    function getMetadataDefinitions() {
+        return Object.entries(config.craft.metadata).map(([key, entry]) => {
+            const declared = typeof entry === 'string' ? { marker: entry } : entry;
+            const legacy = typeof entry === 'string' ? LEGACY_METADATA_DEFINITIONS[key] : null;
+
+            return {
+                key,
+                type: 'string',
+                target: key,
+                required: false,
+                ...(legacy || {}),
+                ...declared,
+            };
+        });
+    }
+
+    function getMetadataMarkers() {
+        return getMetadataDefinitions().map((definition) => definition.marker);
+    }
+
+    // The metadata section is the run of marker lines at the top of a
+    // document, with the images a `Main Image:` line may point at, up to
+    // the first divider (included) or any other block. A body paragraph
+    // that happens to start with a marker ("Type: npm install") is text.
+    // → the number of leading blocks it spans
+    function getMetadataSectionLength(blocks) {
+        const markers = getMetadataMarkers().filter(Boolean);
+        let length = 0;
+        let found = false;
+        for (const block of blocks) {
+            if (block.type === 'line') {
+                if (found) length++;
+                break;
+            }
+            const blank = block.type === 'text' && !block.markdown?.trim();
+            const isMarkerLine = block.type === 'text' && !blank &&
+                markers.some((marker) => block.markdown.startsWith(marker));
+            if (isMarkerLine) {
+                found = true;
+            } else if (!blank && !(found && block.type === 'image')) {
+                break;
+            }
+            length++;
+        }
+        return found ? length : 0;
+    }
+
+    function extractMetadata(pageBlock) {
+        return readMetadata(pageBlock).metadata;
+    }
+
+    // Also returns the keys that were filled in from a default rather than
+    // read from the document, for validation.
+    function readMetadata(pageBlock) {
+        const definitions = getMetadataDefinitions();
+        const content = pageBlock.content || [];
+        const errors = [];
+        const found = new Set();
+        const defaulted = new Set();
+
+        const metadata = {
+            title: pageBlock.markdown || 'Untitled',
+            slug: null,
+        };
+        if (!pageBlock.markdown) defaulted.add('title');
+
+        content.slice(0, getMetadataSectionLength(content)).forEach((block, index) => {
+            if (block.type !== 'text' || !block.markdown) return;
+            const text = block.markdown;
+
+            for (const definition of definitions) {
+                if (!definition.marker || !text.startsWith(definition.marker)) continue;
+
+                const value = text.substring(definition.marker.length).trim();
+                found.add(definition.key);
+
+                try {
+                    metadata[definition.target] = getMetadataParser(definition.type)(value, definition);
+                } catch (error) {
+                    errors.push(`  line ${index + 1} ("${text}"): ${error.message}`);
+                }
+            }
+        });
+
+        for (const definition of definitions) {
+            if (found.has(definition.key)) continue;
+
+            if (definition.required) {
+                errors.push(`  missing required "${definition.marker}" line`);
+            } else if (definition.default !== undefined && metadata[definition.target] === undefined) {
+                metadata[definition.target] = resolveMetadataDefault(definition);
+                defaulted.add(definition.target);
+            }
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(`Invalid metadata in "${metadata.title}":\n${errors.join('\n')}`);
+            error.code = 'INVALID_METADATA';
+            throw error;
+        }
+
+        // Without a Slug: line, the slug is derived from the title
+        if (!metadata.slug) {
+            metadata.slug = slugify(metadata.title, { fallbackPrefix: 'post', fallbackId: pageBlock.id });
+            if (!toSlug(metadata.title)) {
+                logger.warn(`  ⚠ No slug could be derived from the title — using "${metadata.slug}"`);
+            }
+            if (defaulted.has('title')) defaulted.add('slug');
+        }
+
+        return { metadata, defaulted };
+    }
+
+    // ==============================
+    // Main image extraction
+    // ==============================
+    // Picks the image block used as main image. A `Main Image:` metadata line
+    // may name an image by URL, file name or alt text; when it is left empty
+    // the first image after the marker is used. Without a marker, the first
+    // image in the document wins. A URL that is not in the document yields a
+    // synthetic image block.
+    function extractMainImage(blocks, metadata = {}) {
+        const images = collectImageBlocks(blocks);
+        const marker = getMetadataDefinitions().find((definition) => definition.key === 'mainImage')?.marker;
+        const value = typeof metadata.mainImage === 'string' ? metadata.mainImage.trim() : '';
+
+        if (value) {
+            const wanted = value.replace(/^!?\[[^\]]*\]\((\S+?)\)$/, '$1');
+            const match = images.find((image) => {
+                const details = getImageDetails(image);
+                return (
+                    image.url === wanted ||
+                    deriveImageFilename(image.url) === wanted ||
+                    details.alt === wanted
+                );
+            });
+            if (match) return match;
+            if (/^https?:\/\//.test(wanted)) return { type: 'image', url: wanted };
+
+            logger.warn(`  ⚠ Main image "${value}" not found in document — using first image`);
+        } else if (marker) {
+            const markerIndex = blocks
+                .slice(0, getMetadataSectionLength(blocks))
+                .findIndex((block) => block.markdown && block.markdown.startsWith(marker));
+            if (markerIndex !== -1) {
+                const next = collectImageBlocks(blocks.slice(markerIndex + 1))[0];
+                if (next) return next;
+            }
+        }
+
+        return images[0] || null;
+    }
+
+    // ==============================
+    // Image objects (alt / caption / dimensions)
+    // ==============================
+    function buildImageObject(assetId, block, key, target) {
+        const fields = {
+            alt: 'alt',
+            caption: 'caption',
+            width: null,
+            height: null,
+            ...(getBlocksConfig(target).image?.fields || {}),
+        };
+        const image = {
+            _type: 'image',
+            ...(key ? { _key: key } : {}),
+            asset: {
+                _type: 'reference',
+                _ref: assetId,
+            },
+        };
+
+        for (const [detail, value] of Object.entries(getImageDetails(block))) {
+            if (!fields[detail] || value === undefined || value === null) continue;
+            setFieldValue(image, fields[detail], value);
+        }
+
+        return image;
+    }
+
+    // ==============================
+    // Reference resolution
+    // ==============================
+    // Reference declarations from `sanity.references`. Configs written before
+    // it existed fall back to `sanity.author` / `sanity.category`, with the
+    // previous behaviour (fuzzy match, auto-create).
+    function getReferenceDefinitions() {
+        let declared = config.sanity.references;
+
+        if (!declared) {
+            declared = {};
+            if (config.sanity.author) {
+                declared.author = {
+                    source: 'author',
+                    type: config.sanity.author.type,
+                    matchField: config.sanity.author.fields.name,
+                    slugField: config.sanity.author.fields.slug,
+                    onFuzzy: 'accept',
+                };
+            }
+            if (config.sanity.category) {
+                const { fields } = config.sanity.category;
+                declared.categories = {
+                    source: 'category',
+                    type: config.sanity.category.type,
+                    matchField: fields.title,
+                    slugField: fields.slug,
+                    multiple: true,
+                    onFuzzy: 'accept',
+                    defaults: fields.description
+                        ? { [fields.description]: 'Auto-created category for {value}' }
+                        : {},
+                };
+            }
+        }
+
+        return Object.entries(declared).map(([key, definition]) => {
+            const resolved = {
+                key,
+                source: key,
+                matchField: 'title',
+                slugField: 'slug',
+                strategy: 'fuzzy',
+                threshold: 2,
+                onFuzzy: 'ask',
+                create: 'auto',
+                multiple: false,
+                defaults: {},
+                ...definition,
+            };
+
+            if (!MATCH_STRATEGIES.includes(resolved.strategy)) {
+                throw invalidConfigError(
+                    `Invalid strategy "${resolved.strategy}" for sanity.references.${key} (expected ${MATCH_STRATEGIES.join(', ')})`,
+                );
+            }
+            if (!CREATE_POLICIES.includes(resolved.create)) {
+                throw invalidConfigError(
+                    `Invalid create policy "${resolved.create}" for sanity.references.${key} (expected ${CREATE_POLICIES.join(', ')})`,
+                );
+            }
+            return resolved;
+        });
+    }
+
+    function findReferenceMatch(value, candidates, definition) {
+        const exact = candidates.find((candidate) => candidate.value === value);
+        if (exact || definition.strategy === 'exact') {
+            return exact ? { match: exact, distance: 0 } : null;
+        }
+
+        const lower = value.normalize('NFKC').toLowerCase();
+        const caseInsensitive = candidates.find(
+            (candidate) =>
+                typeof candidate.value === 'string' &&
+                candidate.value.normalize('NFKC').toLowerCase() === lower,
+        );
+        if (caseInsensitive || definition.strategy === 'case-insensitive') {
+            return caseInsensitive ? { match: caseInsensitive, distance: 0 } : null;
+        }
+
+        const slug = slugify(value, { fallbackPrefix: definition.type });
+        const bySlug = candidates.find(
+            (candidate) =>
+                candidate.slug === slug ||
+                slugify(candidate.value, { fallbackPrefix: definition.type }) === slug,
+        );
+        if (bySlug || definition.strategy === 'slug') {
+            return bySlug ? { match: bySlug, distance: 0 } : null;
+        }
+
+        const similar = findSimilarName(
+            value,
+            candidates.map((candidate) => ({ name: candidate.value, ...candidate })),
+            definition.threshold,
+        );
+        return similar ? { ...similar, fuzzy: true } : null;
+    }
+
+    async function resolveReferenceValue(value, definition, candidates, { dryRun, transaction, defaulted = false }) {
+        const label = `${definition.type} "${value}"`;
+        const found = findReferenceMatch(value, candidates, definition);
+
+        if (found && !found.fuzzy) {
+            logger.verbose(`  ✓ Found ${label} (ID: ${found.match._id})`);
+            return buildReference(definition, found.match._id);
+        }
+
+        if (found) {
+            const suggestion = `"${found.match.value}" (distance: ${found.distance})`;
+            let accepted = definition.onFuzzy === 'accept';
+
+            if (definition.onFuzzy === 'ask') {
+                if (dryRun) {
+                    logger.log(`  ⚠ ${label} is close to ${suggestion} - would ask for confirmation`);
+                    accepted = true;
+                } else {
+                    const answer = interactive
+                        ? await askYesNo(`Use existing ${definition.type} ${suggestion} for "${value}"?`)
+                        : null;
+                    if (answer === null) {
+                        logger.warn(`  ⚠ ${label} is close to ${suggestion}, but there is no terminal to confirm - not using it`);
+                    }
+                    accepted = answer === true;
+                }
+            }
+
+            if (accepted) {
+                logger.log(`  ⚠ Possible typo: using ${suggestion} for "${value}"`);
+                return buildReference(definition, found.match._id);
+            }
+        }
+
+        // No match: a default such as "Unknown" stands in for a missing
+        // value and is not created as a real document
+        if (defaulted) {
+            logger.warn(`  ⚠ No ${label} found - not creating one for a default value, ${definition.key} left empty`);
+            return null;
+        }
+
+        // Otherwise apply the create policy
+        if (definition.create === 'fail') {
+            throw referenceError(`No ${label} found (sanity.references.${definition.key}.create is "fail")`);
+        }
+        if (definition.create === 'ask' && !dryRun) {
+            const answer = interactive ? await askYesNo(`Create new ${label}?`) : null;
+            if (answer !== true) {
+                throw referenceError(
+                    answer === null
+                        ? `No ${label} found, and there is no terminal to confirm creating it`
+                        : `Creating ${label} was declined`,
+                );
+            }
+        }
+
+        const slug = slugify(value, { fallbackPrefix: definition.type });
+        if (dryRun) {
+            logger.log(`  → Would create new ${label}`);
+            const id = `dry-run.new-${definition.type}.${slug}`;
+            syncReport?.references.push({ key: definition.key, type: definition.type, id, value });
+            return buildReference(definition, id);
+        }
+
+        const newDocument = {
+            _id: crypto.randomUUID(),
+            _type: definition.type,
+        };
+        for (const [field, template] of Object.entries(definition.defaults)) {
+            setFieldValue(
+                newDocument,
+                field,
+                typeof template === 'string' ? template.replace(/\{value\}/g, value) : template,
+            );
+        }
+        setFieldValue(newDocument, definition.matchField, value);
+        if (definition.slugField) {
+            setFieldValue(newDocument, definition.slugField, { _type: 'slug', current: slug });
+        }
+        transaction.create(newDocument);
+
+        // Later values in this run can match the queued document
+        candidates.push({ _id: newDocument._id, value, slug });
+        logger.log(`  ✓ New ${label} queued (ID: ${newDocument._id})`);
+        syncReport?.references.push({ key: definition.key, type: definition.type, id: newDocument._id, value });
+        return buildReference(definition, newDocument._id);
+    }
+
+    // Resolves every declared reference from the extracted metadata. New
+    // documents are queued on `transaction` and only exist once the sync
+    // commits it. Values filled in from a default (`defaulted` keys) only
+    // match existing documents. → { key: reference(s) or null }
+    async function resolveReferences(metadata, { dryRun = false, transaction, keys = null, defaulted = new Set() } = {}) {
+        const references = {};
+        const definitions = getReferenceDefinitions();
+
+        // A target can limit resolution to some of the declared references
+        const unknown = (keys || []).filter((key) => !definitions.some((definition) => definition.key === key));
+        if (unknown.length > 0) {
+            throw invalidConfigError(`Unknown reference(s) ${unknown.join(', ')} (declared: ${definitions.map((definition) => definition.key).join(', ')})`);
+        }
+
+        for (const definition of definitions) {
+            if (keys && !keys.includes(definition.key)) continue;
+
+            const raw = metadata[definition.source];
+            const values = (Array.isArray(raw) ? raw : [raw])
+                .filter((value) => typeof value === 'string' && value.trim())
+                .map((value) => value.trim());
+
+            // Without a resolved reference the key is cleared, so the raw
+            // metadata value never lands in the reference field
+            references[definition.key] = null;
+            if (values.length === 0) continue;
+
+            const documents = await getDestination().findDocuments({ type: definition.type });
+            const candidates = documents.map((document) => ({
+                _id: document._id,
+                value: getFieldValue(document, definition.matchField),
+                slug: definition.slugField
+                    ? getFieldValue(document, `${definition.slugField}.current`)
+                    : undefined,
+            }));
+
+            const refs = [];
+            for (const value of definition.multiple ? values : values.slice(0, 1)) {
+                const ref = await resolveReferenceValue(value, definition, candidates, {
+                    dryRun,
+                    transaction,
+                    defaulted: defaulted.has(definition.source),
+                });
+                if (ref) refs.push(ref);
+            }
+            if (refs.length === 0) continue;
+
+            // A value listed twice (or matched twice) is referenced once
+            const unique = refs.filter(
+                (ref, index) => refs.findIndex((other) => other._ref === ref._ref) === index,
+            );
+            references[definition.key] = definition.multiple ? unique : unique[0];
+        }
+
+        return references;
+    }
+
+    // ==============================
+    // Craft lists → Portable Text list items
+    // ==============================
+    function getTodoConfig(target) {
+        return {
+            mode: 'mark',
+            listItem: 'bullet',
+            checkedMark: 'strike-through',
+            type: 'todoItem',
+            ...(getBlocksConfig(target).todo || {}),
+            fields: {
+                checked: 'checked',
+                text: 'text',
+                ...(getBlocksConfig(target).todo?.fields || {}),
+            },
+        };
+    }
+
+    // Turns a converted text block into a list item. Checkbox items become
+    // either a regular list item with a decorator on completed entries, or a
+    // custom object, depending on `blocks.todo.mode` of the target.
+    function toListItem(portableBlock, list, target) {
+        if (list.listItem !== 'todo') {
+            return { ...portableBlock, listItem: list.listItem, level: list.level };
+        }
+
+        const todo = getTodoConfig(target);
+
+        if (todo.mode === 'type') {
+            const item = {
+                _type: todo.type,
+                _key: portableBlock._key,
+                level: list.level,
+            };
+            if (todo.fields.checked) item[todo.fields.checked] = list.checked;
+            if (todo.fields.text) {
+                item[todo.fields.text] = portableBlock.children
+                    .map((child) => child.text)
+                    .join('');
+            }
+            return item;
+        }
+
+        const children =
+            list.checked && todo.checkedMark
+                ? portableBlock.children.map((child) => ({
+                    ...child,
+                    marks: child.marks.includes(todo.checkedMark)
+                        ? child.marks
+                        : [...child.marks, todo.checkedMark],
+                }))
+                : portableBlock.children;
+
+        return {
+            ...portableBlock,
+            children,
+            listItem: todo.listItem,
+            level: list.level,
+        };
+    }
+
+    // ==============================
+    // Craft custom blocks → Portable Text objects
+    // ==============================
+    // Returns the mapping for a block kind from the target's `blocks`, or null
+    // when the kind has been disabled with `null` / `false`.
+    function getBlockMapping(kind, target) {
+        const custom = getBlocksConfig(target);
+        if (kind in custom && !custom[kind]) return null;
+
+        const mapping = { ...DEFAULT_BLOCK_MAPPINGS[kind], ...(custom[kind] || {}) };
+        if (!mapping.type) return null;
+
+        return {
+            ...mapping,
+            fields: {
+                ...(DEFAULT_BLOCK_MAPPINGS[kind]?.fields || {}),
+                ...(custom[kind]?.fields || {}),
+            },
+        };
+    }
+
+    // Converts the non-paragraph kinds. Returns undefined when the kind has no
+    // mapping so the caller can warn about it.
+    function convertCustomBlock(kind, block, target) {
+        const mapping = getBlockMapping(kind, target);
+        if (!mapping) return undefined;
+
+        const key = blockKey(block);
+
+        switch (kind) {
+            case 'code':
+                return buildCustomBlock(mapping, extractCode(block), key);
+            case 'table':
+                return buildCustomBlock(mapping, { rows: extractTableRows(block) }, key);
+            case 'divider':
+                return buildCustomBlock(mapping, { style: block.lineStyle }, key);
+            case 'embed':
+            case 'video':
+                return buildCustomBlock(mapping, {
+                    url: block.url,
+                    title: block.title || block.pageTitle,
+                    description: block.description,
+                }, key);
+            case 'quote':
+            case 'callout': {
+                const text = (block.markdown || '').replace(/^>\s?/gm, '');
+                if (mapping.type === 'block') {
+                    return textToPortableBlock(text, mapping.style || 'normal', key);
+                }
+                return buildCustomBlock(mapping, {
+                    content: [textToPortableBlock(text, 'normal', blockKey(block, 'content'))],
+                    text: text,
+                    tone: block.color,
+                }, key);
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    // ==============================
+    // Nested blocks, toggles and sub-pages
+    // ==============================
+    function getContainerConfig(kind) {
+        const configured = config.craft.containers?.[kind];
+        const containerConfig = {
+            policy: 'flatten',
+            headingStyle: 'h2',
+            ...(typeof configured === 'string' ? { policy: configured } : configured || {}),
+        };
+
+        if (!CONTAINER_POLICIES.includes(containerConfig.policy)) {
+            throw invalidConfigError(
+                `Invalid policy "${containerConfig.policy}" for craft.containers.${kind} (expected ${CONTAINER_POLICIES.join(', ')})`,
+            );
+        }
+
+        return containerConfig;
+    }
+
+    async function convertContainer(kind, block, level, target) {
+        const containerConfig = getContainerConfig(kind);
+        const title = (block.markdown || '').replace(/^#{1,6}\s+/, '').trim();
+
+        if (containerConfig.policy === 'skip') {
+            logger.log(`  → Skipping ${kind} block: ${title || block.id}`);
+            return [];
+        }
+
+        let children = block.content;
+        if (kind === 'page' && !Array.isArray(children)) {
+            logger.log(`  Fetching sub-page: ${title || block.id}...`);
+            const [subPage] = await getSource().fetchBlocks(block.id);
+            children = subPage?.content || [];
+        }
+        children = children || [];
+
+        if (containerConfig.policy === 'block') {
+            const mapping = getBlockMapping(kind, target);
+            if (!mapping) {
+                logger.warn(`  ⚠ No mapping for Craft ${kind} block (ID: ${block.id || 'n/a'}) — skipped`);
+                return [];
+            }
+            return [
+                buildCustomBlock(mapping, {
+                    title: title,
+                    content: await convertToPortableText(children, { nested: true, target }),
+                }, blockKey(block)),
+            ];
+        }
+
+        // flatten: the container itself becomes a heading / paragraph, followed
+        // by its children one level deeper.
+        const flattened = [];
+        if (kind === 'page') {
+            if (title) {
+                flattened.push(
+                    textToPortableBlock(title, containerConfig.headingStyle, blockKey(block)),
+                );
+            }
+        } else {
+            const parent = { ...block, content: undefined };
+            if (kind === 'toggle') parent.listStyle = 'none';
+            flattened.push(
+                ...(await convertToPortableText([parent], { nested: true, level, target })),
+            );
+        }
+        flattened.push(
+            ...(await convertToPortableText(children, {
+                nested: true,
+                level: kind === 'page' ? level : level + 1,
+                target,
+            })),
+        );
+
+        return flattened;
+    }
+
+    // ==============================
+    // Craft → Portable Text
+    // ==============================
+    // `nested` is set when converting the children of a container, where
+    // metadata lines are not expected; `level` offsets list indentation.
+    // `target` (a getTargets() entry) supplies the block mappings.
+    async function convertToPortableText(blocks, { nested = false, level = 0, target = null } = {}) {
+        const portableBlocks = [];
+        const bodyBlocks = nested ? blocks : blocks.slice(getMetadataSectionLength(blocks));
+
+        for (const block of bodyBlocks) {
+            const container = getContainerKind(block);
+            if (container) {
+                portableBlocks.push(...(await convertContainer(container, block, level, target)));
+                continue;
+            }
+
+            if (block.type === 'text' && !block.markdown.trim()) continue;
+
+            const kind = block.type === 'image' ? 'image' : detectBlockKind(block);
+
+            if (kind === 'text') {
+                const style =
+                    block.textStyle === 'h2'
+                        ? 'h2'
+                        : block.textStyle === 'h3'
+                            ? 'h3'
+                            : 'normal';
+
+                const list = parseListItem(block, level);
+                const portableBlock = list
+                    ? textToPortableBlock(list.text, 'normal', blockKey(block))
+                    : textToPortableBlock(
+                        block.markdown.replace(/^#{1,6}\s+/, ''),
+                        style,
+                        blockKey(block),
+                    );
+
+                portableBlocks.push(list ? toListItem(portableBlock, list, target) : portableBlock);
+            } else if (kind === 'image') {
+                if (!block.url) continue;
+                const imageAssetId = await uploadImageFromUrl(block.url);
+                if (imageAssetId) {
+                    portableBlocks.push(
+                        buildImageObject(imageAssetId, block, blockKey(block), target),
+                    );
+                }
+            } else {
+                const customBlock = kind ? convertCustomBlock(kind, block, target) : undefined;
+                if (customBlock) {
+                    portableBlocks.push(customBlock);
+                } else {
+                    logger.warn(
+                        `  ⚠ No mapping for Craft block type "${kind || block.type}" (ID: ${block.id || 'n/a'}) — skipped`,
+                    );
+                }
+            }
+        }
+
+        return ensureUniqueKeys(portableBlocks);
+    }
+
+    // ==============================
+    // Target routing (Craft document → Sanity document type)
+    // ==============================
+    // Named mappings from `sanity.targets`. `sanity.post` is the `post`
+    // target, so configs written before targets existed keep working.
+    function getTargets() {
+        const declared = { ...(config.sanity.targets || {}) };
+        if (config.sanity.post && !declared.post) {
+            declared.post = config.sanity.post;
+        }
+
+        const targets = {};
+        for (const [name, target] of Object.entries(declared)) {
+            if (!target.type) {
+                throw invalidConfigError(`sanity.targets.${name} has no "type"`);
+            }
+            if (!target.fields?.slug) {
+                throw invalidConfigError(`sanity.targets.${name}.fields has no "slug" field`);
+            }
+            targets[name] = {
+                ...target,
+                name,
+                // Targets without their own block mappings share the post's
+                blocks: target.blocks || config.sanity.post?.blocks || {},
+                redirect: { ...(config.sanity.redirect || {}), ...(target.redirect || {}) },
+                references: target.references || null,
+                validation: getValidationRules(config.sanity.validation, target.validation),
+            };
+        }
+        return targets;
+    }
+
+    // Picks the target for a Craft document. A `Type:` line naming a target
+    // (or its Sanity type) wins, then the first matching rule in
+    // `sanity.routing.rules`, then `sanity.routing.default`. A rule matches
+    // when all of its conditions (`metadata`, `folder`, `titlePattern`) do.
+    function routeDocument(doc, metadata) {
+        const targets = getTargets();
+        const routing = {
+            default: 'post',
+            metadata: 'type',
+            rules: [],
+            ...(config.sanity.routing || {}),
+        };
+        const byName = (name, origin) => {
+            if (!targets[name]) {
+                throw invalidConfigError(
+                    `Unknown target "${name}" in ${origin} (expected ${Object.keys(targets).join(', ')})`,
+                );
+            }
+            return targets[name];
+        };
+
+        const declared = routing.metadata ? metadata[routing.metadata] : null;
+        const declaredType = typeof declared === 'string' && declared.trim()
+            ? normalizeForMatching(declared)
+            : null;
+
+        if (declaredType) {
+            const named = Object.values(targets).find(
+                (target) =>
+                    normalizeForMatching(target.name) === declaredType ||
+                    normalizeForMatching(target.type) === declaredType,
+            );
+            if (named) return named;
+        }
+
+        const folder = getDocumentFolder(doc);
+        const title = metadata.title || doc.title || '';
+        for (const [index, rule] of routing.rules.entries()) {
+            if (rule.metadata && normalizeForMatching(rule.metadata) !== declaredType) continue;
+            if (rule.folder && !matchesFolder(folder, rule.folder)) continue;
+            if (rule.titlePattern && !new RegExp(rule.titlePattern, rule.flags ?? 'i').test(title)) continue;
+            return byName(rule.target, `sanity.routing.rules[${index}]`);
+        }
+
+        if (declaredType) {
+            const error = new Error(
+                `Type "${declared}" does not name a target or match a routing rule (targets: ${Object.keys(targets).join(', ')})`,
+            );
+            error.code = 'INVALID_METADATA';
+            throw error;
+        }
+        return byName(routing.default, 'sanity.routing.default');
+    }
+
+    // Block mappings of the target being converted for
+    function getBlocksConfig(target) {
+        return target?.blocks || config.sanity.post?.blocks || {};
+    }
+
+    // ==============================
+    // Existing document lookup (Craft ID → slug)
+    // ==============================
+    // Looks a document of the target's type up by the Craft document ID
+    // stored in `fields.craftId`, then by slug. The slug fallback never
+    // matches a document that belongs to a different Craft document.
+    async function findExistingDocument({ craftId, slug }, { drafts = false, target = getTargets().post } = {}) {
+        const { type, fields } = target;
+        const destination = getDestination();
+        const summarize = (document) => ({
+            _id: document._id,
+            slug: getFieldValue(document, `${fields.slug}.current`),
+            ...(fields.title ? { title: getFieldValue(document, fields.title) } : {}),
+        });
+
+        if (craftId && fields.craftId) {
+            const [byCraftId] = await destination.findDocuments({
+                type,
+                drafts,
+                where: { [fields.craftId]: craftId },
+            });
+            if (byCraftId) return summarize(byCraftId);
+        }
+
+        const withSlug = await destination.findDocuments({
+            type,
+            drafts,
+            where: { [`${fields.slug}.current`]: slug },
+        });
+        const owned = (document) => {
+            if (!craftId || !fields.craftId) return true;
+            const owner = getFieldValue(document, fields.craftId);
+            return owner === undefined || owner === null || owner === craftId;
+        };
+        const bySlug = withSlug.find(owned);
+        if (bySlug) return summarize(bySlug);
+
+        if (withSlug.length > 0) {
+            logger.warn(
+                `  ⚠ Slug "${slug}" is already used by ${withSlug[0]._id}, which belongs to another Craft document`,
+            );
+        }
+
+        return null;
+    }
+
+    // Another Craft document's post, published or draft, with this slug.
+    // Without `fields.craftId` the owner cannot be told apart, and a slug
+    // match is the document being updated.
+    async function findSlugConflict({ craftId, slug }, target) {
+        const { type, fields } = target;
+        if (!craftId || !fields.craftId || !slug) return null;
+
+        for (const drafts of [false, true]) {
+            const withSlug = await getDestination().findDocuments({
+                type,
+                drafts,
+                where: { [`${fields.slug}.current`]: slug },
+            });
+            const conflict = withSlug.find((document) => {
+                const owner = getFieldValue(document, fields.craftId);
+                return owner !== undefined && owner !== null && owner !== craftId;
+            });
+            if (conflict) return conflict;
+        }
+        return null;
+    }
+
+    function reportSlugChange(existing, slug) {
+        if (!existing || !existing.slug || existing.slug === slug) return null;
+        logger.log(`  ⚠ Slug changed: "${existing.slug}" → "${slug}"`);
+        return existing.slug;
+    }
+
+    // Writes an old slug → new slug record when `sanity.redirect.enabled` is
+    // set (a target's own `redirect` overrides it). The ID is derived from the
+    // old path so renaming twice updates the same record.
+    function queueRedirect(transaction, fromSlug, toSlug, redirectConfig = config.sanity.redirect) {
+        if (!redirectConfig || !redirectConfig.enabled) return null;
+
+        const prefix = redirectConfig.pathPrefix || '/';
+        const from = `${prefix}${fromSlug}`;
+        const to = `${prefix}${toSlug}`;
+        const fields = {
+            from: 'source',
+            to: 'destination',
+            permanent: 'permanent',
+            ...(redirectConfig.fields || {}),
+        };
+
+        const redirect = {
+            _id: `redirect-${crypto.createHash('sha1').update(from).digest('hex').substring(0, 16)}`,
+            _type: redirectConfig.type || 'redirect',
+        };
+        if (fields.from) setFieldValue(redirect, fields.from, from);
+        if (fields.to) setFieldValue(redirect, fields.to, to);
+        if (fields.permanent) setFieldValue(redirect, fields.permanent, redirectConfig.permanent !== false);
+
+        transaction.createOrReplace(redirect);
+        logger.log(`  → Redirect queued: ${from} → ${to}`);
+        return redirect;
+    }
+
+    // ==============================
+    // Create / update Sanity document (Drafts aware)
+    // ==============================
+    // Queues the mutation for a post, page or any other target on
+    // `transaction` and returns the ID it will be written to; the caller
+    // commits. In a dry run the diff is printed instead.
+    async function createOrUpdateSanityDocument(
+        data,
+        isDraft = false,
+        { dryRun = false, transaction, target = getTargets().post } = {},
+    ) {
+        const postType = target.type;
+        const fields = target.fields;
+
+        // 1. まず「公開されているID」を探す (Craft ID → slug の順で検索)
+        //    ※ draftドキュメントは検索しない
+        const published = await findExistingDocument(data, { target });
+
+        // 2. Sanity用データオブジェクトを作成
+        const postData = { _type: postType };
+
+        for (const [dataKey, sanityField] of Object.entries(fields)) {
+            if (!sanityField || data[dataKey] === undefined || data[dataKey] === null) {
+                continue;
+            }
+
+            if (sanityField.includes('.')) {
+                const parts = sanityField.split('.');
+                let current = postData;
+                for (let i = 0; i < parts.length - 1; i++) {
+                    if (!current[parts[i]]) {
+                        current[parts[i]] = {};
+                    }
+                    current = current[parts[i]];
+                }
+                current[parts[parts.length - 1]] = data[dataKey];
+            } else {
+                if (dataKey === 'slug') {
+                    postData[sanityField] = {
+                        _type: 'slug',
+                        current: data[dataKey],
+                    };
+                } else {
+                    postData[sanityField] = data[dataKey];
+                }
+            }
+        }
+
+        if (dryRun) {
+            return await previewSanityDocument(postData, published, isDraft, data, target);
+        }
+
+        if (isDraft) {
+            // =================================
+            // DRAFT MODE: drafts.<id> に書き込む
+            // =================================
+            let draftId;
+            let existingDraft = null;
+            if (published) {
+                // 既に公開済み記事がある場合 → そのIDのdraftを作る (drafts.<publishedId>)
+                draftId = `drafts.${published._id}`;
+                logger.log(`  → Existing published ${postType} found (ID: ${published._id})`);
+                logger.log(`  → Creating/Updating DRAFT version (ID: ${draftId})...`);
+            } else {
+                // まだ公開記事がない場合 → UUIDを生成して draft を作る
+                existingDraft = await findExistingDocument(data, { drafts: true, target });
+
+                if (existingDraft) {
+                    draftId = existingDraft._id;
+                    logger.log(`  → Existing draft found (ID: ${draftId})...`);
+                } else {
+                    // 新規ドラフト
+                    draftId = `drafts.${crypto.randomUUID()}`;
+                    logger.log(`  → Creating NEW draft (ID: ${draftId})...`);
+                }
+            }
+
+            // IDを指定して createOrReplace する (確実にそのIDで書き込むため)
+            const draftDoc = { ...postData, _id: draftId };
+            transaction.createOrReplace(draftDoc);
+
+            // The old slug may already be shared, published or not
+            const previousSlug = reportSlugChange(published || existingDraft, data.slug);
+            if (previousSlug) {
+                queueRedirect(transaction, previousSlug, data.slug, target.redirect);
+            }
+            return { postId: draftId, created: !published && !existingDraft, previousSlug };
+
+        } else {
+            // =================================
+            // PUBLISH MODE: 公開IDに書き込む
+            // =================================
+            if (published) {
+                logger.log(`  → Existing published ${postType} found: "${published.title}" (ID: ${published._id})`);
+                logger.log(`  → Updating published ${postType}...`);
+                transaction.patch(published._id, { set: postData });
+
+                // Publishing replaces the draft, as it does in Studio
+                const draftId = `drafts.${published._id}`;
+                if (await getDestination().getDocument(draftId)) {
+                    transaction.delete(draftId);
+                    logger.log(`  → Discarding draft ${draftId}`);
+                }
+
+                const previousSlug = reportSlugChange(published, data.slug);
+                if (previousSlug) {
+                    queueRedirect(transaction, previousSlug, data.slug, target.redirect);
+                }
+                return { postId: published._id, created: false, previousSlug };
+            } else {
+                logger.log(`  → Creating NEW published ${postType}...`);
+                // publishedAt がない場合は現在時刻を入れる（お好みで）
+                if (fields.publishedAt && !postData[fields.publishedAt]) {
+                    postData[fields.publishedAt] = new Date().toISOString();
+                }
+                // 既存のdraftがあれば同じIDで公開する（重複を避けるため）
+                const existingDraft = await findExistingDocument(data, { drafts: true, target });
+                const postId = existingDraft
+                    ? existingDraft._id.replace(/^drafts\./, '')
+                    : crypto.randomUUID();
+                transaction.create({ ...postData, _id: postId });
+                if (!existingDraft) return { postId, created: true };
+
+                // Publishing replaces the draft, as it does in Studio
+                transaction.delete(existingDraft._id);
+                const previousSlug = reportSlugChange(existingDraft, data.slug);
+                if (previousSlug) {
+                    queueRedirect(transaction, previousSlug, data.slug, target.redirect);
+                }
+                return { postId, created: true, previousSlug };
+            }
+        }
+    }
+
+    // ==============================
+    // Dry run preview
+    // ==============================
+    // Reports what createOrUpdateSanityDocument would write, without writing it.
+    async function previewSanityDocument(postData, published, isDraft, data, target) {
+        let targetId = published ? published._id : null;
+
+        if (isDraft) {
+            const existingDraft = published
+                ? await getDestination().getDocument(`drafts.${published._id}`)
+                : await findExistingDocument(data, { drafts: true, target });
+            targetId = existingDraft ? existingDraft._id : published ? `drafts.${published._id}` : null;
+        }
+
+        // A new draft of a published post starts from the published version
+        const current = targetId
+            ? (await getDestination().getDocument(targetId)) ||
+              (published ? await getDestination().getDocument(published._id) : null)
+            : null;
+
+        logger.log('\n=== Dry run ===');
+        if (current) {
+            logger.log(`  Would update ${isDraft ? 'draft' : 'published'} ${target.type} ${targetId}`);
+        } else {
+            logger.log(`  Would create a new ${isDraft ? 'draft' : 'published'} ${target.type}`);
+        }
+
+        if (published) reportSlugChange(published, data.slug);
+        printDiff(diffDocuments(current, postData, target.fields.body), logger);
+
+        if (imageCache.pendingUploads.length > 0) {
+            logger.log('  New assets:');
+            imageCache.pendingUploads.forEach((upload) => {
+                logger.log(`    + ${upload.filename} (${upload.bytes} bytes) from ${upload.url}`);
+            });
+        }
+
+        return {
+            post: { ...postData, _id: targetId || (isDraft ? 'drafts.(new)' : '(new)') },
+            created: !current,
+            dryRun: true,
+        };
+    }
+
+    // ==============================
+    // Sync status, unpublish & delete
+    // ==============================
+    // Compares every source document with the sync state, the same way
+    // syncAll decides what to sync: `new`, `changed` (content or draft /
+    // published mode differs) or `unchanged`. Documents listed without a
+    // revision are fetched and hashed, or reported as `unknown` with `quick`.
+    async function getSyncStatus({ isDraft = false, quick = false } = {}) {
+        const mode = isDraft ? 'draft' : 'published';
+        const state = loadSyncState();
+        const documents = await getSource().listDocuments();
+        const statuses = [];
+        let inDestination = null;
+
+        for (const doc of documents) {
+            const previous = state[doc.id];
+            let revision = getListRevision(doc);
+            if (!revision && previous && !quick) {
+                revision = `sha1:${hashBlocks(await getSource().fetchBlocks(doc.id))}`;
+            }
+
+            // Not in this checkout's sync state, but maybe synced elsewhere
+            let existing = null;
+            if (!previous) {
+                inDestination = inDestination || (await findDocumentsByCraftId());
+                existing = inDestination.get(doc.id) || null;
+            }
+
+            let status = 'new';
+            if ((previous && !revision) || existing) {
+                status = 'unknown';
+            } else if (previous) {
+                status = previous.revision === revision && previous.mode === mode ? 'unchanged' : 'changed';
+            }
+
+            const synced = previous || existing;
+            statuses.push({
+                id: doc.id,
+                title: doc.title || 'Untitled',
+                folder: getDocumentFolder(doc),
+                status,
+                target: synced?.target || null,
+                postId: synced?.postId || null,
+                mode: synced?.mode || null,
+                syncedAt: previous?.syncedAt || null,
+            });
+        }
+        return statuses;
+    }
+
+    // Craft ID → { target, postId, mode } of the documents in the
+    // destination that record one; the published document wins over its
+    // draft.
+    async function findDocumentsByCraftId() {
+        const found = new Map();
+        for (const target of Object.values(getTargets())) {
+            if (!target.fields.craftId) continue;
+            for (const drafts of [true, false]) {
+                for (const document of await getDestination().findDocuments({ type: target.type, drafts })) {
+                    const craftId = getFieldValue(document, target.fields.craftId);
+                    if (!craftId) continue;
+                    found.set(craftId, { target: target.name, postId: document._id, mode: drafts ? 'draft' : 'published' });
+                }
+            }
+        }
+        return found;
+    }
+
+    // The published document and draft synced from `doc`. The target comes
+    // from the sync state, or from routing the document again.
+    async function findSyncedDocuments(doc) {
+        const previous = loadSyncState()[doc.id];
+        let target = previous?.target ? getTargets()[previous.target] : null;
+        let slug = previous?.slug;
+        if (!target || !slug) {
+            const [pageBlock] = await getSource().fetchBlocks(doc.id);
+            const metadata = extractMetadata(pageBlock);
+            target = routeDocument(doc, metadata);
+            slug = metadata.slug;
+        }
+
+        const lookup = { craftId: doc.id, slug };
+        const published = await findExistingDocument(lookup, { target });
+        const draft = published
+            ? await getDestination().getDocument(`drafts.${published._id}`)
+            : await findExistingDocument(lookup, { drafts: true, target });
+
+        return {
+            target,
+            published: published ? published._id : null,
+            draft: draft ? draft._id : null,
+        };
+    }
+
+    // Turns the published document back into a draft: the published version
+    // becomes `drafts.<id>` (unless a draft already exists) and is deleted.
+    async function unpublishDocument(doc, { dryRun = false } = {}) {
+        const { target, published, draft } = await findSyncedDocuments(doc);
+        if (!published) {
+            throw notFoundError(`"${doc.title}" has no published ${target.type} in ${getDestination().name}`);
+        }
+        const draftId = draft || `drafts.${published}`;
+
+        if (dryRun) {
+            logger.log(`  → Would unpublish ${published}${draft ? ` (draft ${draft} is kept)` : ` (kept as ${draftId})`}`);
+            return { unpublished: published, draftId, dryRun: true };
+        }
+
+        const transaction = getDestination().transaction();
+        if (!draft) {
+            const { _rev, _updatedAt, ...content } = await getDestination().getDocument(published);
+            transaction.createOrReplace({ ...content, _id: draftId });
+        }
+        transaction.delete(published);
+        await transaction.commit();
+        logger.log(`  ✓ Unpublished ${published} (draft: ${draftId})`);
+
+        // The next `--all --draft` run sees the draft as up to date
+        const state = loadSyncState();
+        if (state[doc.id]) {
+            state[doc.id] = { ...state[doc.id], mode: 'draft', postId: draftId };
+            saveSyncState(state);
+        }
+        return { unpublished: published, draftId };
+    }
+
+    // Deletes the published document and its draft, or only the draft.
+    async function deleteDocument(doc, { draftOnly = false, dryRun = false } = {}) {
+        const { target, published, draft } = await findSyncedDocuments(doc);
+        const ids = (draftOnly ? [draft] : [published, draft]).filter(Boolean);
+        if (ids.length === 0) {
+            throw notFoundError(`"${doc.title}" has no ${draftOnly ? 'draft ' : ''}${target.type} in ${getDestination().name}`);
+        }
+
+        if (dryRun) {
+            ids.forEach((id) => logger.log(`  → Would delete ${id}`));
+            return { deleted: ids, dryRun: true };
+        }
+
+        const transaction = getDestination().transaction();
+        ids.forEach((id) => transaction.delete(id));
+        await transaction.commit();
+        ids.forEach((id) => logger.log(`  ✓ Deleted ${id}`));
+
+        // Forget the document so the next `--all` run syncs it again
+        const state = loadSyncState();
+        if (state[doc.id] && ids.includes(state[doc.id].postId)) {
+            delete state[doc.id];
+            saveSyncState(state);
+        }
+        return { deleted: ids };
+    }
+
+    // ==============================
+    // Public API
+    // ==============================
+    function resolveTarget(target) {
+        if (target && typeof target === 'object') return target;
+        const targets = getTargets();
+        const name = target || config.sanity.routing?.default || 'post';
+        if (!targets[name]) {
+            throw usageError(`Unknown target "${name}" (declared: ${Object.keys(targets).join(', ')})`);
+        }
+        return targets[name];
+    }
+
+    // Accepts a document from listDocuments() or a source document ID.
+    async function findDocument(document) {
+        if (typeof document !== 'string') return document;
+        const documents = await getSource().listDocuments();
+        const found = documents.find((doc) => doc.id === document);
+        if (!found) {
+            throw notFoundError(`Document ${document} not found in source "${getSource().name}"`);
+        }
+        return found;
+    }
+
+    return {
+        config,
+        getSource,
+        getDestination,
+        routeDocument,
+        registerMetadataParser,
+        extractMetadata,
+
+        listDocuments() {
+            return getSource().listDocuments();
+        },
+
+        // → { post, created, previousSlug, target, slug, references, assets, warnings };
+        // a dry run returns the would-be document instead of `post`.
+        // `references` are the documents created ({ key, type, id, value }),
+        // `assets` the images uploaded ({ url, assetId }).
+        async syncDocument(document, { refreshImages = false, ...options } = {}) {
+            const doc = await findDocument(document);
+            loadImageCache({ refresh: refreshImages, dryRun: options.dryRun });
+            const { revision, craftBlocks } = await readRevision(doc);
+            const result = await syncDocument(doc, { craftBlocks, ...options });
+            if (!options.dryRun) {
+                recordSync(doc, {
+                    revision,
+                    mode: options.isDraft ? 'draft' : 'published',
+                    postId: result.post._id,
+                    target: result.target,
+                    slug: result.slug,
+                });
+            }
+            return result;
+        },
+
+        // → [{ status: created|updated|skipped|failed, title, id, target, postId, previousSlug,
+        //      references, assets, warnings, error, code }]
+        async syncAll({ refreshImages = false, ...options } = {}) {
+            loadImageCache({ refresh: refreshImages, dryRun: options.dryRun });
+            return syncAllDocuments(options);
+        },
+
+        // → { synced, failed } once `signal` is aborted
+        async watch(options) {
+            loadImageCache();
+            return watchDocuments(options);
+        },
+
+        // → [{ id, title, folder, status: new|changed|unchanged|unknown, target, postId, mode, syncedAt }]
+        getSyncStatus,
+
+        // Both accept a document from listDocuments() or a source document ID
+        async unpublishDocument(document, options) {
+            return unpublishDocument(await findDocument(document), options);
+        },
+        async deleteDocument(document, options) {
+            return deleteDocument(await findDocument(document), options);
+        },
+
+        // Converts a Craft block tree to Portable Text for `target` (a target
+        // name or a getTargets() entry; default: routing.default). Images
+        // are uploaded to the destination unless `dryRun` is set.
+        async convertBlocks(blocks, { target = null, dryRun = false, nested = false, level = 0 } = {}) {
+            if (!imageCache.scope || imageCache.dryRun !== dryRun) loadImageCache({ dryRun });
+            return convertToPortableText(blocks, { nested, level, target: resolveTarget(target) });
+        },
+
+        // Without a `transaction`, new referenced documents are committed
+        // right away (unless `dryRun` is set).
+        async resolveReferences(metadata, { dryRun = false, transaction = null, keys = null } = {}) {
+            const ownTransaction = !transaction && !dryRun ? getDestination().transaction() : null;
+            const references = await resolveReferences(metadata, {
+                dryRun,
+                transaction: transaction || ownTransaction,
+                keys,
+            });
+            if (ownTransaction && ownTransaction.toJSON().length > 0) {
+                await ownTransaction.commit();
+            }
+            return references;
+        },
+    };
+}
+
+module.exports = {
+    createBridge,
+};
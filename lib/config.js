@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+
+const { findSimilarName } = require('./text');
+const { isTimeZone } = require('./dates');
+const { validateSchema, CONFIG_SCHEMA, BUILTIN_METADATA_TYPES } = require('./schema');
+
+// ==============================
+// Configuration
+// ==============================
+// Reads `config.json` from `baseDir`, falling back to `config.default.json`
+// there and then to the one shipped with this package. An explicit `path`
+// is resolved against `baseDir`. With `profile`, that entry of `profiles`
+// is merged over the rest. The result is validated; errors throw.
+// → { config, path, profile, warnings }
+function loadConfig({ baseDir = path.resolve(__dirname, '..'), path: configPath = null, profile = null } = {}) {
+    const candidates = configPath
+        ? [path.resolve(baseDir, configPath)]
+        : [
+            path.join(baseDir, 'config.json'),
+            path.join(baseDir, 'config.default.json'),
+            path.join(__dirname, '..', 'config.default.json'),
+        ];
+    const found = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!found) {
+        const error = new Error(`Configuration not found: ${candidates[0]}`);
+        error.code = 'CONFIG_NOT_FOUND';
+        throw error;
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(found, 'utf8'));
+    } catch (parseError) {
+        const error = new Error(`Invalid configuration in ${found}: ${parseError.message}`);
+        error.code = 'INVALID_CONFIG';
+        throw error;
+    }
+
+    const config = applyProfile(raw, profile);
+    const { errors, warnings } = validateConfig(config);
+    if (errors.length > 0) {
+        throw configError(errors, path.basename(found));
+    }
+    return { config, path: found, profile, warnings };
+}
+
+// ==============================
+// Profiles
+// ==============================
+// `profiles.<name>` holds overrides for one environment, e.g. another
+// dataset, token variable, Craft endpoint or field mapping:
+//
+//   "profiles": {
+//       "staging": {
+//           "sanity": { "dataset": "staging", "tokenEnv": "SANITY_STAGING_TOKEN" },
+//           "craft": { "apiUrl": "https://...", "tokenEnv": "CRAFT_STAGING_TOKEN" }
+//       }
+//   }
+//
+// Objects are merged key by key; arrays and other values replace.
+function applyProfile(config, name) {
+    if (!name) return config;
+
+    const profiles = config.profiles || {};
+    if (!Object.hasOwn(profiles, name)) {
+        const declared = Object.keys(profiles);
+        const similar = findSimilarName(name, declared.map((profile) => ({ name: profile })));
+        throw configError([
+            {
+                path: `profiles.${name}`,
+                message: declared.length > 0
+                    ? `no such profile (declared: ${declared.join(', ')})${similar ? ` - did you mean "${similar.match.name}"?` : ''}`
+                    : 'no such profile (config has no "profiles")',
+            },
+        ]);
+    }
+    return mergeConfig(config, profiles[name]);
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeConfig(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeConfig(base[key], value)
+            : value;
+    }
+    return merged;
+}
+
+// ==============================
+// Validation
+// ==============================
+// Checks `config` against CONFIG_SCHEMA, then that the names it uses refer
+// to each other: targets, references, routing, validation rules and
+// metadata entries, that metadata time zones exist and that network
+// settings are in range.
+// `metadataTypes` lists the parsers available besides `craft.parsers`.
+// → { errors: [{ path, message }], warnings: [{ path, message }] }
+function validateConfig(config, { metadataTypes = BUILTIN_METADATA_TYPES } = {}) {
+    const errors = validateSchema(config, CONFIG_SCHEMA);
+    for (const [name, profile] of Object.entries(isPlainObject(config?.profiles) ? config.profiles : {})) {
+        errors.push(...validateSchema(profile, CONFIG_SCHEMA, { path: `profiles.${name}`, partial: true }));
+        if (profile.profiles !== undefined) {
+            errors.push({ path: `profiles.${name}.profiles`, message: 'profiles cannot be nested' });
+        }
+    }
+
+    const warnings = [];
+    // Consistency checks assume the shapes above
+    if (errors.length === 0) {
+        checkConsistency(config, { metadataTypes, errors, warnings });
+    }
+    return { errors, warnings };
+}
+
+function checkConsistency(config, { metadataTypes, errors, warnings }) {
+    const { sanity, craft } = config;
+    const error = (path, message) => errors.push({ path, message });
+    const suggest = (name, names) => {
+        const similar = findSimilarName(name, names.map((candidate) => ({ name: candidate })));
+        return similar ? ` (did you mean "${similar.match.name}"?)` : '';
+    };
+
+    // Metadata values are stored under their `target` (the key by default)
+    const metadata = Object.entries(craft.metadata).map(([key, entry]) => ({
+        key,
+        ...(typeof entry === 'string' ? { marker: entry } : entry),
+    }));
+    const metadataTargets = metadata.map((entry) => entry.target || entry.key);
+
+    const markers = new Map();
+    for (const entry of metadata) {
+        const other = markers.get(entry.marker);
+        if (other) {
+            error(`craft.metadata.${entry.key}.marker`, `"${entry.marker}" is also the marker of craft.metadata.${other}`);
+        }
+        markers.set(entry.marker, entry.key);
+
+        if (entry.timezone !== undefined && !isTimeZone(entry.timezone)) {
+            error(`craft.metadata.${entry.key}.timezone`, `"${entry.timezone}" is not a known IANA time zone (e.g. "Asia/Tokyo")`);
+        }
+
+        const type = entry.type || 'string';
+        const known = [...metadataTypes, ...Object.keys(craft.parsers || {})];
+        if (!known.includes(type)) {
+            warnings.push({
+                path: `craft.metadata.${entry.key}.type`,
+                message: `unknown type "${type}"${suggest(type, known)} - declare it in craft.parsers or register a parser`,
+            });
+        }
+    }
+
+    const references = sanity.references
+        ? Object.entries(sanity.references).map(([key, definition]) => ({ key, source: definition.source || key }))
+        : [
+            ...(sanity.author ? [{ key: 'author', source: 'author' }] : []),
+            ...(sanity.category ? [{ key: 'categories', source: 'category' }] : []),
+        ];
+    const referenceKeys = references.map((reference) => reference.key);
+    for (const reference of references) {
+        if (!metadataTargets.includes(reference.source)) {
+            error(
+                `sanity.references.${reference.key}.source`,
+                `"${reference.source}" is not a craft.metadata entry${suggest(reference.source, metadataTargets)}`,
+            );
+        }
+    }
+
+    const targets = { ...(sanity.targets || {}) };
+    if (sanity.post && !targets.post) targets.post = sanity.post;
+    const targetNames = Object.keys(targets);
+    if (targetNames.length === 0) {
+        error('sanity', 'no targets (declare sanity.post or sanity.targets)');
+    }
+
+    // Values a sync passes to the target's `fields`
+    const provided = ['craftId', 'title', 'slug', 'body', 'mainImage', ...metadataTargets, ...referenceKeys];
+    for (const [name, target] of Object.entries(targets)) {
+        const targetPath = sanity.targets?.[name] ? `sanity.targets.${name}` : 'sanity.post';
+        (target.references || []).forEach((key, index) => {
+            if (!referenceKeys.includes(key)) {
+                error(`${targetPath}.references[${index}]`, `"${key}" is not a declared reference${suggest(key, referenceKeys)}`);
+            }
+        });
+        for (const [key, field] of Object.entries(target.fields)) {
+            if (field && !provided.includes(key)) {
+                warnings.push({
+                    path: `${targetPath}.fields.${key}`,
+                    message: `no craft.metadata entry or reference provides "${key}", so ${field} is never set${suggest(key, provided)}`,
+                });
+            }
+        }
+    }
+
+    // Validation rules name metadata keys
+    const metadataKeys = ['title', 'slug', ...metadataTargets];
+    const validations = [
+        ['sanity.validation', sanity.validation],
+        ...Object.entries(targets).map(([name, target]) => [
+            sanity.targets?.[name] ? `sanity.targets.${name}.validation` : 'sanity.post.validation',
+            target.validation,
+        ]),
+    ];
+    for (const [validationPath, validation] of validations) {
+        if (!validation) continue;
+        (validation.required || []).forEach((key, index) => {
+            if (!metadataKeys.includes(key)) {
+                error(`${validationPath}.required[${index}]`, `"${key}" is not a craft.metadata entry, so it is always missing${suggest(key, metadataKeys)}`);
+            }
+        });
+        for (const key of Object.keys(validation.maxLength || {})) {
+            if (!metadataKeys.includes(key)) {
+                warnings.push({
+                    path: `${validationPath}.maxLength.${key}`,
+                    message: `"${key}" is not a craft.metadata entry, so it is never checked${suggest(key, metadataKeys)}`,
+                });
+            }
+        }
+        if (validation.slugPattern) {
+            try {
+                new RegExp(validation.slugPattern, 'u');
+            } catch (regexError) {
+                error(`${validationPath}.slugPattern`, regexError.message);
+            }
+        }
+    }
+
+    const routing = sanity.routing || {};
+    const defaultTarget = routing.default || 'post';
+    if (targetNames.length > 0 && !targetNames.includes(defaultTarget)) {
+        error('sanity.routing.default', `"${defaultTarget}" is not a target${suggest(defaultTarget, targetNames)}`);
+    }
+    if (routing.metadata && !metadataTargets.includes(routing.metadata)) {
+        error('sanity.routing.metadata', `"${routing.metadata}" is not a craft.metadata entry${suggest(routing.metadata, metadataTargets)}`);
+    }
+    (routing.rules || []).forEach((rule, index) => {
+        const rulePath = `sanity.routing.rules[${index}]`;
+        if (!targetNames.includes(rule.target)) {
+            error(`${rulePath}.target`, `"${rule.target}" is not a target${suggest(rule.target, targetNames)}`);
+        }
+        if (rule.titlePattern) {
+            try {
+                new RegExp(rule.titlePattern, rule.flags ?? 'i');
+            } catch (regexError) {
+                error(`${rulePath}.titlePattern`, regexError.message);
+            }
+        }
+    });
+
+    // A concurrency of 0 would never start a transfer
+    const network = config.network || {};
+    for (const key of ['timeout', 'retries', 'retryDelay', 'maxRetryDelay', 'imageConcurrency']) {
+        const value = network[key];
+        if (value === undefined) continue;
+        const minimum = key === 'retries' || key === 'retryDelay' ? 0 : 1;
+        if (!Number.isInteger(value) || value < minimum) {
+            error(`network.${key}`, `must be a whole number of at least ${minimum}`);
+        }
+    }
+}
+
+// Errors carry `code` and the individual `errors`, so callers can tell a
+// bad config from a failed sync.
+function configError(errors, file = null) {
+    const error = new Error(
+        `Invalid configuration${file ? ` (${file})` : ''}:\n` +
+            errors.map((entry) => `  - ${entry.path}: ${entry.message}`).join('\n'),
+    );
+    error.code = 'INVALID_CONFIG';
+    error.errors = errors;
+    return error;
+}
+
+module.exports = {
+    loadConfig,
+    applyProfile,
+    validateConfig,
+    configError,
+};
@@ -0,0 +1,126 @@
+// ==============================
+// Date parsing
+// ==============================
+const MONTHS = [
+    'jan', 'feb', 'mar', 'apr', 'may', 'jun',
+    'jul', 'aug', 'sep', 'oct', 'nov', 'dec',
+];
+
+// Offset of `timeZone` from UTC, in minutes, at the given instant.
+function getTimeZoneOffset(timeZone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find((part) => part.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+// Accepts ISO dates (`2025-11-30`, `2025-11-30T09:00+09:00`), slashes,
+// `30 Nov 2025`, `Sun, 30 Nov 2025`, `November 30, 2025` and
+// `2025年11月30日`, each with an optional `HH:mm` time. Returns null when
+// the value is not a date.
+function parseDateParts(value) {
+    const text = value.trim().replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i, '');
+    const time = '(?:[T\\s]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?\\s*(Z|[+-]\\d{2}:?\\d{2})?';
+    let match;
+    let year;
+    let month;
+    let day;
+    let rest;
+
+    if ((match = text.match(new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${time}$`)))) {
+        [, year, month, day, ...rest] = match;
+    } else if ((match = text.match(new RegExp(`^(\\d{4})年(\\d{1,2})月(\\d{1,2})日${time}$`)))) {
+        [, year, month, day, ...rest] = match;
+    } else if ((match = text.match(new RegExp(`^(\\d{1,2})\\s+([A-Za-z]{3,9})\\.?,?\\s+(\\d{4})${time}$`)))) {
+        let monthName;
+        [, day, monthName, year, ...rest] = match;
+        month = MONTHS.indexOf(monthName.substring(0, 3).toLowerCase()) + 1;
+    } else if ((match = text.match(new RegExp(`^([A-Za-z]{3,9})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})${time}$`)))) {
+        let monthName;
+        [, monthName, day, year, ...rest] = match;
+        month = MONTHS.indexOf(monthName.substring(0, 3).toLowerCase()) + 1;
+    } else {
+        return null;
+    }
+
+    const [hour, minute, second, offset] = rest;
+    const parts = {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour || 0),
+        minute: Number(minute || 0),
+        second: Number(second || 0),
+        hasTime: hour !== undefined,
+        offset: offset || null,
+    };
+
+    const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    if (
+        parts.month < 1 ||
+        check.getUTCMonth() !== parts.month - 1 ||
+        check.getUTCDate() !== parts.day ||
+        parts.hour > 23 ||
+        parts.minute > 59 ||
+        parts.second > 59
+    ) {
+        return null;
+    }
+
+    return parts;
+}
+
+function dateTimeToIso(parts, timeZone = 'UTC') {
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    if (parts.offset) {
+        const sign = parts.offset.startsWith('-') ? -1 : 1;
+        const digits = parts.offset.replace(/[^0-9]/g, '');
+        const offsetMinutes = parts.offset === 'Z'
+            ? 0
+            : sign * (Number(digits.substring(0, 2)) * 60 + Number(digits.substring(2, 4)));
+        return new Date(wallClock - offsetMinutes * 60000).toISOString();
+    }
+
+    // Resolve the wall-clock time in `timeZone`, re-checking the offset once
+    // for times close to a DST change.
+    let offset = getTimeZoneOffset(timeZone, new Date(wallClock));
+    offset = getTimeZoneOffset(timeZone, new Date(wallClock - offset * 60000));
+    return new Date(wallClock - offset * 60000).toISOString();
+}
+
+// Whether Intl knows `timeZone` (an IANA name such as `Asia/Tokyo`).
+function isTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function formatDateInTimeZone(date, timeZone = 'UTC') {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).format(date);
+}
+
+module.exports = {
+    getTimeZoneOffset,
+    parseDateParts,
+    dateTimeToIso,
+    formatDateInTimeZone,
+    isTimeZone,
+};
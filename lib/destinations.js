@@ -0,0 +1,311 @@
+const sanityClient = require('@sanity/client');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { getFieldValue } = require('./fields');
+const { IMAGE_EXTENSIONS } = require('./images');
+const { getNetworkConfig, withRetry } = require('./network');
+
+// ==============================
+// Destinations (Sanity / files)
+// ==============================
+// A destination is where converted documents and assets are written.
+// Every destination offers the same operations, so the sync does not care
+// whether it writes to a dataset or to disk:
+//
+//   name, scope                      label, and the key for the image cache / sync state
+//   getDocument(id)                  → document (or asset) or null
+//   findDocuments({ type, drafts, where })
+//                                    → documents of `type` whose fields equal `where`
+//                                      (field paths such as `slug.current`)
+//   findAssetBySha1(sha1hash)        → asset ID or null
+//   uploadAsset(buffer, { filename, contentType, source }) → asset ID
+//   deleteAsset(id)
+//   transaction()                    → { create, createOrReplace, patch(id, { set }), delete(id), toJSON, commit }
+const DESTINATION_TYPES = {
+    sanity: (options, context) => createSanityDestination(options, context),
+    file: (options, context) => createFileDestination(options, context),
+};
+
+// `destination.type` is one of DESTINATION_TYPES or the path of a module
+// exporting `(options, context) => destination`, resolved relative to
+// `context.baseDir`.
+function createDestination(options = {}, context = {}) {
+    context = { baseDir: process.cwd(), ...context };
+    const type = options.type || 'sanity';
+    if (DESTINATION_TYPES[type]) return DESTINATION_TYPES[type](options, context);
+
+    if (type.startsWith('.') || path.isAbsolute(type)) {
+        const loaded = require(path.resolve(context.baseDir, type));
+        const factory = loaded.createDestination || loaded.default || loaded;
+        return factory(options, context);
+    }
+
+    throw destinationError(
+        'INVALID_CONFIG',
+        `Unknown destination type "${type}" (expected ${Object.keys(DESTINATION_TYPES).join(', ')} or a module path)`,
+    );
+}
+
+// Errors carry a stable `code` (see getErrorCode in logger.js)
+function destinationError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function draftScope(drafts) {
+    return drafts ? '(_id in path("drafts.**"))' : '!(_id in path("drafts.**"))';
+}
+
+// Pass `client` to reuse an already configured @sanity/client instance;
+// otherwise one is created from SANITY_PROJECT_ID / SANITY_DATASET / SANITY_TOKEN.
+//
+// Queries, uploads and deletes time out and are retried as set in
+// `context.network`. Asset IDs derive from the file's hash, so a repeated
+// upload cannot create a second asset. Transaction commits are not retried.
+function createSanityDestination(options = {}, context = {}) {
+    const network = getNetworkConfig(context.network);
+    const client = options.client || sanityClient.default({
+        projectId: options.projectId || process.env.SANITY_PROJECT_ID,
+        dataset: options.dataset || process.env.SANITY_DATASET,
+        token: options.token || process.env.SANITY_TOKEN,
+        apiVersion: '2024-01-01',
+        useCdn: false,
+        timeout: network.timeout,
+        // Retries are handled below, with the same policy as Craft requests
+        maxRetries: 0,
+    });
+    const { projectId, dataset } = client.config();
+    const retry = (label, operation) => withRetry(operation, { network, label, logger: context.logger || console });
+    const query = (groq, params) => retry('Sanity query failed', () => client.fetch(groq, params));
+
+    return {
+        name: 'sanity',
+        scope: `${projectId}/${dataset}`,
+        client,
+        getDocument: (id) => query('*[_id == $id][0]', { id }),
+        findDocuments({ type, drafts = false, where = {} }) {
+            const params = { type };
+            const conditions = Object.entries(where).map(([field, value], index) => {
+                params[`value${index}`] = value;
+                return `${field} == $value${index}`;
+            });
+            return query(
+                `*[${['_type == $type', draftScope(drafts), ...conditions].join(' && ')}]`,
+                params,
+            );
+        },
+        findAssetBySha1: (sha1hash) =>
+            query(
+                '*[_type == "sanity.imageAsset" && sha1hash == $hash][0]._id',
+                { hash: sha1hash },
+            ),
+        async uploadAsset(buffer, uploadOptions) {
+            const asset = await retry('Asset upload failed', () => client.assets.upload('image', buffer, uploadOptions));
+            return asset._id;
+        },
+        deleteAsset: (id) => retry('Asset delete failed', () => client.delete(id)),
+        transaction: () => client.transaction(),
+    };
+}
+
+// Writes documents and images under `dir` instead of a dataset:
+//   ndjson (default): data.ndjson + images/, importable with
+//                     `sanity dataset import data.ndjson <dataset>`
+//   json:             documents/<id>.json + images/, for reviewing a sync
+// Documents already in `dir` are loaded first, so a re-run updates them
+// the same way it would update a dataset.
+function createFileDestination(options = {}, context = {}) {
+    if (!options.dir) {
+        throw destinationError('INVALID_CONFIG', 'The file destination needs a directory (destination.dir or --destination-dir)');
+    }
+    const dir = path.resolve(context.baseDir || process.cwd(), options.dir);
+    const format = options.format || 'ndjson';
+    if (!['ndjson', 'json'].includes(format)) {
+        throw destinationError('INVALID_CONFIG', `Invalid destination.format "${format}" (expected ndjson, json)`);
+    }
+
+    const dataPath = path.join(dir, 'data.ndjson');
+    const documentsDir = path.join(dir, 'documents');
+    const manifestPath = path.join(dir, 'assets.json');
+
+    // asset ID → { sha1hash, path (relative to dir), filename }
+    const assets = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+        : {};
+    let documents = new Map();
+
+    // The import format references images by file instead of asset ID.
+    // Keys keep their position, so reloaded documents compare equal.
+    const replaceKey = (object, from, to, value) =>
+        Object.fromEntries(
+            Object.entries(object).map(([key, child]) => (key === from ? [to, value] : [key, child])),
+        );
+    const toBundle = (value) => mapImageAssets(value, (image) => {
+        const asset = assets[image.asset?._ref];
+        if (!asset) return image;
+        return replaceKey(image, 'asset', '_sanityAsset', `image@file://./${asset.path}`);
+    });
+    const fromBundle = (value) => mapImageAssets(value, (image) => {
+        const match = /^image@file:\/\/\.\/(.+)$/.exec(image._sanityAsset || '');
+        const assetId = match && Object.keys(assets).find((id) => assets[id].path === match[1]);
+        if (!assetId) return image;
+        return replaceKey(image, '_sanityAsset', 'asset', { _type: 'reference', _ref: assetId });
+    });
+
+    if (format === 'ndjson' && fs.existsSync(dataPath)) {
+        for (const line of fs.readFileSync(dataPath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            const document = fromBundle(JSON.parse(line));
+            documents.set(document._id, document);
+        }
+    } else if (format === 'json' && fs.existsSync(documentsDir)) {
+        for (const file of fs.readdirSync(documentsDir).filter((name) => name.endsWith('.json'))) {
+            const document = JSON.parse(fs.readFileSync(path.join(documentsDir, file), 'utf8'));
+            documents.set(document._id, document);
+        }
+    }
+
+    const save = () => {
+        fs.mkdirSync(dir, { recursive: true });
+        const sorted = [...documents.values()].sort((a, b) => a._id.localeCompare(b._id));
+        if (format === 'ndjson') {
+            fs.writeFileSync(dataPath, sorted.map((document) => JSON.stringify(toBundle(document))).join('\n') + '\n');
+        } else {
+            fs.mkdirSync(documentsDir, { recursive: true });
+            // Files of deleted documents are removed
+            for (const file of fs.readdirSync(documentsDir)) {
+                if (file.endsWith('.json') && !documents.has(file.slice(0, -'.json'.length))) {
+                    fs.rmSync(path.join(documentsDir, file));
+                }
+            }
+            for (const document of sorted) {
+                fs.writeFileSync(
+                    path.join(documentsDir, `${document._id}.json`),
+                    JSON.stringify(document, null, 2),
+                );
+            }
+        }
+        fs.writeFileSync(manifestPath, JSON.stringify(assets, null, 2));
+    };
+
+    const matches = (document, { type, drafts = false, where = {} }) =>
+        document._type === type &&
+        document._id.startsWith('drafts.') === drafts &&
+        Object.entries(where).every(([field, value]) => getFieldValue(document, field) === value);
+
+    return {
+        name: 'file',
+        scope: `file:${dir}`,
+        async getDocument(id) {
+            if (assets[id]) return { _id: id, _type: 'sanity.imageAsset', ...assets[id] };
+            return documents.get(id) || null;
+        },
+        async findDocuments(query) {
+            return [...documents.values()].filter((document) => matches(document, query));
+        },
+        async findAssetBySha1(sha1hash) {
+            return Object.keys(assets).find((id) => assets[id].sha1hash === sha1hash) || null;
+        },
+        async uploadAsset(buffer, { filename, contentType }) {
+            const sha1hash = crypto.createHash('sha1').update(buffer).digest('hex');
+            const extension = path.extname(filename || '').substring(1) ||
+                IMAGE_EXTENSIONS[(contentType || '').split(';')[0]] ||
+                'bin';
+            const assetId = `image-${sha1hash}-${extension}`;
+            const assetPath = `images/${sha1hash}.${extension}`;
+
+            fs.mkdirSync(path.join(dir, 'images'), { recursive: true });
+            fs.writeFileSync(path.join(dir, assetPath), buffer);
+            assets[assetId] = { sha1hash, path: assetPath, filename };
+            fs.writeFileSync(manifestPath, JSON.stringify(assets, null, 2));
+            return assetId;
+        },
+        async deleteAsset(id) {
+            const asset = assets[id];
+            if (!asset) return;
+            fs.rmSync(path.join(dir, asset.path), { force: true });
+            delete assets[id];
+            fs.writeFileSync(manifestPath, JSON.stringify(assets, null, 2));
+        },
+        transaction() {
+            const mutations = [];
+            const transaction = {
+                create(document) {
+                    mutations.push({ create: document });
+                    return transaction;
+                },
+                createOrReplace(document) {
+                    mutations.push({ createOrReplace: document });
+                    return transaction;
+                },
+                patch(id, { set }) {
+                    mutations.push({ patch: { id, set } });
+                    return transaction;
+                },
+                delete(id) {
+                    mutations.push({ delete: { id } });
+                    return transaction;
+                },
+                toJSON: () => mutations,
+                // Applied to a copy first, so a failing mutation writes nothing
+                async commit() {
+                    const next = new Map(documents);
+                    const written = [];
+                    for (const mutation of mutations) {
+                        if (mutation.delete) {
+                            next.delete(mutation.delete.id);
+                            continue;
+                        }
+
+                        let document;
+                        if (mutation.create) {
+                            if (next.has(mutation.create._id)) {
+                                throw new Error(`Document ${mutation.create._id} already exists`);
+                            }
+                            document = mutation.create;
+                        } else if (mutation.createOrReplace) {
+                            document = mutation.createOrReplace;
+                        } else {
+                            const existing = next.get(mutation.patch.id);
+                            if (!existing) {
+                                throw new Error(`Document ${mutation.patch.id} not found`);
+                            }
+                            document = { ...existing, ...mutation.patch.set };
+                        }
+                        document = { ...document, _updatedAt: new Date().toISOString() };
+                        next.set(document._id, document);
+                        written.push(document);
+                    }
+                    documents = next;
+                    save();
+                    return written;
+                },
+            };
+            return transaction;
+        },
+    };
+}
+
+// Applies `replace` to every image object (`{ _type: 'image', asset }` or
+// a bundled `_sanityAsset`) inside a document.
+function mapImageAssets(value, replace) {
+    if (Array.isArray(value)) return value.map((item) => mapImageAssets(item, replace));
+    if (!value || typeof value !== 'object') return value;
+
+    const mapped = {};
+    for (const [key, child] of Object.entries(value)) {
+        mapped[key] = mapImageAssets(child, replace);
+    }
+    return mapped._type === 'image' && (mapped.asset?._ref || mapped._sanityAsset)
+        ? replace(mapped)
+        : mapped;
+}
+
+module.exports = {
+    createDestination,
+    createSanityDestination,
+    createFileDestination,
+};
@@ -0,0 +1,133 @@
+// ==============================
+// Dry run diff
+// ==============================
+const SYSTEM_FIELDS = ['_id', '_rev', '_createdAt', '_updatedAt', '_type'];
+
+// Drops `_key`s so that values compare by content, and markDef keys do not
+// make identical blocks look different.
+function normalizeForDiff(value) {
+    if (Array.isArray(value)) return value.map(normalizeForDiff);
+    if (!value || typeof value !== 'object') return value;
+
+    const keyMap = new Map(
+        (value.markDefs || []).map((markDef, index) => [markDef._key, `#${index}`]),
+    );
+    const normalized = {};
+    for (const [key, child] of Object.entries(value)) {
+        if (key === '_key') continue;
+        normalized[key] = normalizeForDiff(child);
+    }
+    if (keyMap.size > 0 && Array.isArray(normalized.children)) {
+        normalized.children = normalized.children.map((span) => ({
+            ...span,
+            marks: (span.marks || []).map((mark) => keyMap.get(mark) || mark),
+        }));
+    }
+    return normalized;
+}
+
+function describeBlock(block) {
+    if (block._type === 'block') {
+        const text = (block.children || []).map((child) => child.text).join('');
+        const prefix = block.listItem ? `${block.listItem} ` : block.style !== 'normal' ? `${block.style} ` : '';
+        return `${prefix}"${text.length > 60 ? `${text.substring(0, 57)}...` : text}"`;
+    }
+    if (block._type === 'image') {
+        return `image ${block.asset?._ref || ''}`.trim();
+    }
+    return block._type;
+}
+
+function formatDiffValue(value) {
+    if (value === undefined) return '(none)';
+    const json = JSON.stringify(value);
+    return json.length > 80 ? `${json.substring(0, 77)}...` : json;
+}
+
+// Longest-common-subsequence diff over normalized blocks.
+function diffBlocks(currentBlocks, nextBlocks) {
+    const a = (currentBlocks || []).map((block) => JSON.stringify(normalizeForDiff(block)));
+    const b = (nextBlocks || []).map((block) => JSON.stringify(normalizeForDiff(block)));
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (j < b.length && (i === a.length || table[i][j + 1] >= table[i + 1][j])) {
+            changes.push({ type: 'added', index: j, block: nextBlocks[j] });
+            j++;
+        } else {
+            changes.push({ type: 'removed', index: i, block: currentBlocks[i] });
+            i++;
+        }
+    }
+    return changes;
+}
+
+function diffDocuments(current, next, bodyField) {
+    const changes = [];
+    const keys = new Set([...Object.keys(current || {}), ...Object.keys(next)]);
+
+    for (const key of keys) {
+        if (SYSTEM_FIELDS.includes(key)) continue;
+        const before = current ? current[key] : undefined;
+        const after = next[key];
+        // Fields the bridge does not manage are left untouched by an update
+        if (after === undefined) continue;
+
+        if (key === bodyField) {
+            const blockChanges = diffBlocks(before, after);
+            if (blockChanges.length > 0) {
+                changes.push({ field: key, blocks: blockChanges });
+            }
+            continue;
+        }
+
+        if (JSON.stringify(normalizeForDiff(before)) !== JSON.stringify(normalizeForDiff(after))) {
+            changes.push({ field: key, before, after });
+        }
+    }
+
+    return changes;
+}
+
+function printDiff(changes, logger = console) {
+    if (changes.length === 0) {
+        logger.log('  No changes.');
+        return;
+    }
+    for (const change of changes) {
+        if (change.blocks) {
+            const added = change.blocks.filter((c) => c.type === 'added').length;
+            const removed = change.blocks.length - added;
+            logger.log(`  ~ ${change.field}: ${added} block(s) added, ${removed} removed`);
+            for (const blockChange of change.blocks) {
+                const sign = blockChange.type === 'added' ? '+' : '-';
+                logger.log(`      ${sign} [${blockChange.index}] ${describeBlock(blockChange.block)}`);
+            }
+            continue;
+        }
+        if (change.before === undefined) {
+            logger.log(`  + ${change.field}: ${formatDiffValue(change.after)}`);
+        } else {
+            logger.log(`  ~ ${change.field}: ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}`);
+        }
+    }
+}
+
+module.exports = {
+    diffDocuments,
+    printDiff,
+};
@@ -0,0 +1,25 @@
+// ==============================
+// Field paths (`seo.title`)
+// ==============================
+function getFieldValue(source, fieldPath) {
+    return fieldPath
+        .split('.')
+        .reduce((current, part) => (current === undefined || current === null ? undefined : current[part]), source);
+}
+
+function setFieldValue(target, fieldPath, value) {
+    const parts = fieldPath.split('.');
+    let current = target;
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (!current[parts[i]]) {
+            current[parts[i]] = {};
+        }
+        current = current[parts[i]];
+    }
+    current[parts[parts.length - 1]] = value;
+}
+
+module.exports = {
+    getFieldValue,
+    setFieldValue,
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const { fetchWithRetry } = require('./network');
+
+// ==============================
+// Image files
+// ==============================
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg',
+    'image/heic': 'heic',
+    'image/tiff': 'tiff',
+};
+
+// Uses the last path segment of the source URL, adding an extension from
+// the Content-Type when the URL has none.
+function deriveImageFilename(imageUrl, contentType) {
+    let basename = '';
+    try {
+        basename = decodeURIComponent(
+            path.posix.basename(new URL(imageUrl).pathname),
+        );
+    } catch (error) {
+        basename = '';
+    }
+    basename = basename.replace(/[^\p{L}\p{N}._-]+/gu, '-') || 'image';
+
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    const extension = IMAGE_EXTENSIONS[mimeType];
+    if (/\.[a-z0-9]{2,5}$/i.test(basename) || !extension) {
+        return basename;
+    }
+    return `${basename}.${extension}`;
+}
+
+// Local files (`file://`, from the Markdown and export sources) are read
+// from disk; anything else is downloaded, with `retry` ({ network, logger })
+// settings for fetchWithRetry.
+async function downloadImage(imageUrl, retry = {}) {
+    if (imageUrl.startsWith('file:')) {
+        const extension = path.extname(fileURLToPath(imageUrl)).substring(1).toLowerCase();
+        const contentType = Object.keys(IMAGE_EXTENSIONS).find(
+            (mimeType) => IMAGE_EXTENSIONS[mimeType] === extension,
+        );
+        return {
+            buffer: fs.readFileSync(fileURLToPath(imageUrl)),
+            contentType: contentType || 'image/jpeg',
+        };
+    }
+
+    return fetchWithRetry(imageUrl, {}, {
+        ...retry,
+        label: 'Failed to fetch image',
+        read: async (response) => ({
+            buffer: await response.buffer(),
+            contentType: response.headers.get('content-type') || 'image/jpeg',
+        }),
+    });
+}
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    deriveImageFilename,
+    downloadImage,
+};
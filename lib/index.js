@@ -0,0 +1,14 @@
+const { createBridge } = require('./bridge');
+const { loadConfig } = require('./config');
+const { createSource } = require('./sources');
+const { createDestination } = require('./destinations');
+const { createLogger, getErrorCode } = require('./logger');
+
+module.exports = {
+    createBridge,
+    loadConfig,
+    createSource,
+    createDestination,
+    createLogger,
+    getErrorCode,
+};
@@ -0,0 +1,144 @@
+const util = require('util');
+
+// ==============================
+// Log levels
+// ==============================
+// error and warn always go to stderr; info, verbose and debug to stdout.
+//   warn     --quiet: problems only
+//   info     default: progress and results
+//   verbose  --verbose: metadata, references, every image and link
+//   debug    --debug: stack traces and raw values
+const LOG_LEVELS = ['error', 'warn', 'info', 'verbose', 'debug'];
+
+// ==============================
+// Error codes
+// ==============================
+// Errors thrown by lib/ for expected failures carry a stable `code`
+// (DOCUMENT_NOT_FOUND, INVALID_CONFIG, SOURCE_ERROR, VALIDATION_FAILED,
+// HTTP_ERROR, ...; see the README). Node system errors keep theirs
+// (ENOENT, ECONNRESET); anything else is UNEXPECTED_ERROR.
+function getErrorCode(error) {
+    if (typeof error?.code === 'string' && /^[A-Z][A-Z0-9_]*$/.test(error.code)) return error.code;
+    if (error?.statusCode || error?.status) return 'HTTP_ERROR';
+    return 'UNEXPECTED_ERROR';
+}
+
+// ==============================
+// Redaction
+// ==============================
+const REDACTED = '[REDACTED]';
+
+// Credentials that can show up in messages without being registered:
+// Authorization headers and tokens in query strings
+const SECRET_PATTERNS = [
+    [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+    [/([?&](?:token|access_token|api_key|apikey|key)=)[^&\s"']+/gi, `$1${REDACTED}`],
+];
+
+// Values shorter than this are not redacted, so a short or empty token does
+// not blank out ordinary words
+const MIN_SECRET_LENGTH = 8;
+
+// ==============================
+// Logger
+// ==============================
+// A console-compatible logger (log, info, warn, error, plus verbose and
+// debug) with a level and a JSON mode:
+//
+//   level   one of LOG_LEVELS (default: info)
+//   json    write one JSON object per line instead of text: log lines as
+//           { type: 'log', level, message }, events as { type: <event>, ... }
+//           and the final { type: 'result', ... }
+//   secrets values to redact, e.g. API tokens; more can be added with
+//           addSecret()
+//
+// Every line is redacted before it is written, in both modes.
+function createLogger({ level = 'info', json = false, secrets = [], stdout = process.stdout, stderr = process.stderr } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+    }
+    const threshold = LOG_LEVELS.indexOf(level);
+    const knownSecrets = new Set();
+
+    function addSecret(value) {
+        if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) knownSecrets.add(value);
+    }
+    secrets.forEach(addSecret);
+
+    function redact(text) {
+        let redacted = text;
+        for (const secret of knownSecrets) {
+            redacted = redacted.split(secret).join(REDACTED);
+        }
+        for (const [pattern, replacement] of SECRET_PATTERNS) {
+            redacted = redacted.replace(pattern, replacement);
+        }
+        return redacted;
+    }
+
+    function write(stream, line) {
+        stream.write(`${redact(line)}\n`);
+    }
+
+    function emit(type, data = {}) {
+        write(stdout, JSON.stringify({ type, time: new Date().toISOString(), ...data }));
+    }
+
+    const logAt = (lineLevel) => (...args) => {
+        if (LOG_LEVELS.indexOf(lineLevel) > threshold) return;
+        const message = util.format(...args);
+        if (json) {
+            // Status markers and indentation only help humans
+            const text = message.trim().replace(/^[✓⚠→✗❌↳✎]\s*/u, '');
+            if (text) emit('log', { level: lineLevel, message: text });
+            return;
+        }
+        write(lineLevel === 'error' || lineLevel === 'warn' ? stderr : stdout, message);
+    };
+
+    const info = logAt('info');
+    return {
+        level,
+        json,
+        log: info,
+        info,
+        warn: logAt('warn'),
+        error: logAt('error'),
+        verbose: logAt('verbose'),
+        debug: logAt('debug'),
+        // Output a command exists for (tables, the final outcome): written
+        // at every level, left out in JSON mode where the result carries it
+        print: (...args) => {
+            if (!json) write(stdout, util.format(...args));
+        },
+        // Machine-readable events, only written in JSON mode
+        event: (type, data) => {
+            if (json) emit(type, data);
+        },
+        addSecret,
+        redact,
+    };
+}
+
+// Fills in what a plain console-compatible object (e.g. `console`) lacks:
+// verbose lines go to `log`, events are dropped.
+function toLogger(logger) {
+    if (typeof logger.event === 'function' && typeof logger.verbose === 'function') return logger;
+    return {
+        log: (...args) => logger.log(...args),
+        info: (...args) => (logger.info || logger.log).apply(logger, args),
+        warn: (...args) => logger.warn(...args),
+        error: (...args) => logger.error(...args),
+        verbose: (...args) => (logger.verbose || logger.log).apply(logger, args),
+        debug: (...args) => (logger.debug || logger.log).apply(logger, args),
+        event: (type, data) => logger.event?.(type, data),
+        addSecret: (value) => logger.addSecret?.(value),
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    getErrorCode,
+    createLogger,
+    toLogger,
+};
@@ -0,0 +1,160 @@
+const fetch = require('node-fetch');
+const { setTimeout: wait } = require('timers/promises');
+
+// ==============================
+// Network settings
+// ==============================
+// `network` in config.json:
+//   timeout          ms before a request is aborted
+//   retries          extra attempts for idempotent calls
+//   retryDelay       ms before the first retry; doubled per attempt, with jitter
+//   maxRetryDelay    longest wait between attempts, also for Retry-After
+//   imageConcurrency images downloaded and uploaded at the same time
+const DEFAULT_NETWORK = {
+    timeout: 30000,
+    retries: 3,
+    retryDelay: 500,
+    maxRetryDelay: 30000,
+    imageConcurrency: 4,
+};
+
+function getNetworkConfig(network = {}) {
+    return { ...DEFAULT_NETWORK, ...network };
+}
+
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ETIMEOUT'];
+
+// ==============================
+// Retry with backoff
+// ==============================
+// Status of a failed response or client error (node-fetch responses,
+// @sanity/client errors)
+function getStatus(error) {
+    return error.status ?? error.statusCode ?? error.response?.status ?? error.response?.statusCode ?? null;
+}
+
+function isRetryable(error) {
+    const status = getStatus(error);
+    if (status !== null) return RETRYABLE_STATUS.includes(status);
+    return error.name === 'AbortError' || error.type === 'request-timeout' || RETRYABLE_CODES.includes(error.code);
+}
+
+// `Retry-After` in seconds or as an HTTP date → ms, or null
+function getRetryAfter(error) {
+    const headers = error.headers || error.response?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full jitter: a random delay up to the exponential backoff, so parallel
+// requests do not retry in lockstep
+function backoffDelay(attempt, network) {
+    const ceiling = Math.min(network.retryDelay * 2 ** attempt, network.maxRetryDelay);
+    return Math.round(Math.random() * ceiling);
+}
+
+// Runs `operation(attempt)` until it succeeds, fails with an error that is
+// not worth retrying, or `network.retries` retries are used up. Only pass
+// idempotent operations.
+async function withRetry(operation, { network = DEFAULT_NETWORK, label = 'Request', logger = console } = {}) {
+    network = getNetworkConfig(network);
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= network.retries || !isRetryable(error)) throw error;
+
+            const retryAfter = getRetryAfter(error);
+            const delay = retryAfter !== null
+                ? Math.min(retryAfter, network.maxRetryDelay)
+                : backoffDelay(attempt, network);
+            const reason = getStatus(error) || error.code || (error.name === 'AbortError' ? 'timed out' : error.message);
+            logger.warn(
+                `    ⚠ ${label} (${reason}) - retry ${attempt + 1}/${network.retries} in ${(delay / 1000).toFixed(1)}s`,
+            );
+            await wait(delay);
+        }
+    }
+}
+
+// node-fetch with a timeout; non-2xx responses throw an HTTP_ERROR carrying
+// `status` and `headers`, and timeouts a TIMEOUT. `label` starts error
+// messages ("Failed to fetch image"). `read(response)` consumes the body
+// (e.g. `(response) => response.json()`) and its result is returned: it
+// runs under the same timeout and is retried with the request, so a body
+// that stalls halfway does not hang the sync. Retried with withRetry, so
+// only use it for GET.
+async function fetchWithRetry(
+    url,
+    options = {},
+    { network = DEFAULT_NETWORK, label = 'Request', logger = console, read = (response) => response } = {},
+) {
+    network = getNetworkConfig(network);
+    return withRetry(async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), network.timeout);
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            if (!response.ok) {
+                const error = new Error(`${label}: ${response.status} ${response.statusText}`);
+                error.code = 'HTTP_ERROR';
+                error.status = response.status;
+                error.headers = response.headers;
+                throw error;
+            }
+            return await read(response);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                error.message = `${label}: timed out after ${network.timeout}ms`;
+                error.code = 'TIMEOUT';
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }, { network, label, logger });
+}
+
+// ==============================
+// Bounded concurrency
+// ==============================
+// → limit(task): runs `task()` once fewer than `concurrency` tasks started
+// through this limiter are running, and resolves with its result.
+function createLimiter(concurrency) {
+    let running = 0;
+    const queue = [];
+
+    const next = () => {
+        if (running >= concurrency || queue.length === 0) return;
+        running++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                running--;
+                next();
+            });
+    };
+
+    return (task) =>
+        new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            next();
+        });
+}
+
+module.exports = {
+    DEFAULT_NETWORK,
+    getNetworkConfig,
+    withRetry,
+    fetchWithRetry,
+    createLimiter,
+};
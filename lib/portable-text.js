@@ -0,0 +1,624 @@
+const crypto = require('crypto');
+
+const { setFieldValue } = require('./fields');
+
+// ==============================
+// Portable Text keys
+// ==============================
+// Keys are derived from the Craft block ID (or the block content when it
+// has none), so unchanged blocks keep their `_key` between syncs.
+function stableKey(...parts) {
+    return crypto
+        .createHash('sha1')
+        .update(parts.map((part) => String(part)).join('\u0000'))
+        .digest('hex')
+        .substring(0, 12);
+}
+
+function blockKey(block, ...parts) {
+    if (block.id) return stableKey(block.id, ...parts);
+    const { content, ...ownFields } = block;
+    return stableKey('content', JSON.stringify(ownFields), ...parts);
+}
+
+// Identical blocks without a Craft ID hash to the same key; later copies
+// get a suffix based on their occurrence.
+function ensureUniqueKeys(items) {
+    const seen = new Map();
+    return items.map((item) => {
+        if (!item._key) return item;
+        const count = seen.get(item._key) || 0;
+        seen.set(item._key, count + 1);
+        return count === 0 ? item : { ...item, _key: stableKey(item._key, count) };
+    });
+}
+
+// ==============================
+// Inline Markdown → spans / markDefs
+// ==============================
+const INLINE_DECORATORS = {
+    '**': 'strong',
+    '__': 'strong',
+    '*': 'em',
+    '_': 'em',
+    '~~': 'strike-through',
+};
+
+// Latin letters and digits only: CJK text has no spaces between words, so
+// `これは**太字**です` must still be treated as emphasis.
+const WORD_CHAR = /[0-9A-Za-zÀ-ɏ]/;
+
+const ESCAPABLE_CHARS = '\\`*_{}[]()#+-.!~>|';
+
+function isWordChar(ch) {
+    return !!ch && WORD_CHAR.test(ch);
+}
+
+function isWhitespace(ch) {
+    return !ch || /\s/.test(ch);
+}
+
+function delimiterRunLength(text, index) {
+    let end = index;
+    while (text[end] === text[index]) end++;
+    return end - index;
+}
+
+// Returns the index of the delimiter closing `delimiter` opened before
+// `start`, or -1. Escapes, code spans and link labels are skipped so that
+// their contents never close an outer mark.
+function findClosingDelimiter(text, start, delimiter) {
+    const ch = delimiter[0];
+    let i = start;
+
+    while (i < text.length) {
+        const c = text[i];
+
+        if (c === '\\') {
+            i += 2;
+            continue;
+        }
+
+        if (c === '`') {
+            const run = delimiterRunLength(text, i);
+            const fence = '`'.repeat(run);
+            const end = text.indexOf(fence, i + run);
+            i = end === -1 ? i + run : end + run;
+            continue;
+        }
+
+        if (c === ch) {
+            const run = delimiterRunLength(text, i);
+            const before = text[i - 1];
+            const after = text[i + run];
+            const canClose =
+                i > start &&
+                !isWhitespace(before) &&
+                !(ch === '_' && isWordChar(after)) &&
+                !(ch === '*' && isWordChar(after) && isWordChar(before));
+
+            // `***` closes both `**` and `*`; otherwise the run must match.
+            if (canClose && (run === delimiter.length || run === 3)) {
+                return i + run - delimiter.length;
+            }
+            i += run;
+            continue;
+        }
+
+        i++;
+    }
+
+    return -1;
+}
+
+// The `)` closing a link target that starts at `start`, or -1. URLs may
+// contain balanced parentheses (`https://en.wikipedia.org/wiki/Foo_(bar)`);
+// parentheses in a quoted title do not count.
+function findLinkTargetEnd(text, start) {
+    let depth = 0;
+    let inTitle = false;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '"' && (inTitle || /\s/.test(text[i - 1]))) {
+            inTitle = !inTitle;
+        } else if (inTitle) {
+            continue;
+        } else if (text[i] === '(') {
+            depth++;
+        } else if (text[i] === ')') {
+            if (depth === 0) return i;
+            depth--;
+        }
+    }
+    return -1;
+}
+
+// Parses `[label](url "title")` at `index`. Returns null when the text at
+// `index` is not a complete link.
+function parseInlineLink(text, index) {
+    let depth = 0;
+    let labelEnd = -1;
+    for (let i = index; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']') {
+            depth--;
+            if (depth === 0) {
+                labelEnd = i;
+                break;
+            }
+        }
+    }
+
+    if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+
+    const close = findLinkTargetEnd(text, labelEnd + 2);
+    if (close === -1) return null;
+
+    const target = text.substring(labelEnd + 2, close).trim();
+    const match = target.match(/^<?([^\s>]+)>?(?:\s+"([^"]*)")?$/);
+    if (!match) return null;
+
+    return {
+        label: text.substring(index + 1, labelEnd),
+        href: match[1],
+        title: match[2],
+        end: close + 1,
+    };
+}
+
+function parseInlineMarkdown(markdown, keyPrefix = stableKey('inline', markdown)) {
+    const children = [];
+    const markDefs = [];
+
+    const pushSpan = (text, marks) => {
+        if (!text) return;
+        const last = children[children.length - 1];
+        if (last && last.marks.join(' ') === marks.join(' ')) {
+            last.text += text;
+            return;
+        }
+        children.push({
+            _type: 'span',
+            _key: stableKey(keyPrefix, 'span', children.length),
+            text,
+            marks: [...marks],
+        });
+    };
+
+    const walk = (text, marks) => {
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            pushSpan(buffer, marks);
+            buffer = '';
+        };
+
+        while (i < text.length) {
+            const c = text[i];
+
+            // Backslash escapes: `\*` stays a literal asterisk
+            if (c === '\\' && ESCAPABLE_CHARS.includes(text[i + 1] || '')) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            // Inline code: contents are never parsed further
+            if (c === '`') {
+                const run = delimiterRunLength(text, i);
+                const fence = '`'.repeat(run);
+                const end = text.indexOf(fence, i + run);
+                if (end !== -1) {
+                    flush();
+                    const code = text.substring(i + run, end);
+                    pushSpan(
+                        run > 1 ? code.replace(/^ (.*) $/, '$1') : code,
+                        marks.includes('code') ? marks : [...marks, 'code'],
+                    );
+                    i = end + run;
+                    continue;
+                }
+                buffer += fence;
+                i += run;
+                continue;
+            }
+
+            // Links become `link` annotations in markDefs
+            if (c === '[') {
+                const link = parseInlineLink(text, i);
+                if (link) {
+                    flush();
+                    const markDef = {
+                        _type: 'link',
+                        _key: stableKey(keyPrefix, 'link', markDefs.length),
+                        href: link.href,
+                    };
+                    if (link.title) markDef.title = link.title;
+                    markDefs.push(markDef);
+                    walk(link.label, [...marks, markDef._key]);
+                    i = link.end;
+                    continue;
+                }
+            }
+
+            // Emphasis, strong and strike-through
+            if (c === '*' || c === '_' || c === '~') {
+                const run = delimiterRunLength(text, i);
+                let delimiter = null;
+                if (c === '~') {
+                    delimiter = run === 2 ? '~~' : null;
+                } else if (run === 1 || run === 2) {
+                    delimiter = c.repeat(run);
+                } else if (run === 3) {
+                    delimiter = c.repeat(2);
+                }
+
+                const before = text[i - 1];
+                const after = text[i + (delimiter ? delimiter.length : run)];
+                const canOpen =
+                    delimiter &&
+                    !isWhitespace(after) &&
+                    !(c === '_' && isWordChar(before)) &&
+                    !(c === '*' && isWordChar(before) && isWordChar(after));
+
+                if (canOpen) {
+                    const close = findClosingDelimiter(
+                        text,
+                        i + delimiter.length,
+                        delimiter,
+                    );
+                    if (close !== -1) {
+                        flush();
+                        const decorator = INLINE_DECORATORS[delimiter];
+                        walk(
+                            text.substring(i + delimiter.length, close),
+                            marks.includes(decorator)
+                                ? marks
+                                : [...marks, decorator],
+                        );
+                        i = close + delimiter.length;
+                        continue;
+                    }
+                }
+
+                buffer += text.substr(i, run);
+                i += run;
+                continue;
+            }
+
+            buffer += c;
+            i++;
+        }
+
+        flush();
+    };
+
+    walk(markdown || '', []);
+
+    if (children.length === 0) {
+        children.push({
+            _type: 'span',
+            _key: stableKey(keyPrefix, 'span', 0),
+            text: '',
+            marks: [],
+        });
+    }
+
+    return { children, markDefs };
+}
+
+// ==============================
+// Craft lists
+// ==============================
+const LIST_STYLES = {
+    bullet: 'bullet',
+    numbered: 'number',
+    number: 'number',
+    todo: 'todo',
+    task: 'todo',
+    checkbox: 'todo',
+};
+
+const LIST_MARKER = /^([ \t]*)(?:([-*+])|(\d+)[.)])\s+(?:\[([ xX])\]\s+)?/;
+
+// Craft reports list items through `listStyle` / `indentationLevel`; older
+// exports only carry the Markdown marker. Both are handled here.
+function parseListItem(block, levelOffset = 0) {
+    const markdown = block.markdown || '';
+    const marker = markdown.match(LIST_MARKER);
+    let listItem = LIST_STYLES[block.listStyle] || null;
+
+    if (!listItem && marker && block.listStyle === undefined) {
+        if (marker[4] !== undefined) {
+            listItem = 'todo';
+        } else {
+            listItem = marker[3] !== undefined ? 'number' : 'bullet';
+        }
+    }
+
+    if (!listItem) return null;
+
+    let level = 1 + levelOffset;
+    if (typeof block.indentationLevel === 'number') {
+        level += block.indentationLevel;
+    } else if (marker) {
+        const indent = marker[1].replace(/\t/g, '    ').length;
+        level += Math.floor(indent / 2);
+    }
+
+    const state = block.taskInfo?.state || block.state;
+    const checked =
+        block.checked === true ||
+        state === 'done' ||
+        (marker !== null && /x/i.test(marker[4] || ''));
+
+    return {
+        listItem,
+        level,
+        checked,
+        text: marker ? markdown.substring(marker[0].length) : markdown,
+    };
+}
+
+// ==============================
+// Craft custom blocks
+// ==============================
+const DEFAULT_BLOCK_MAPPINGS = {
+    code: { type: 'code', fields: { code: 'code', language: 'language' } },
+    quote: { type: 'block', style: 'blockquote' },
+    callout: { type: 'callout', fields: { content: 'content', tone: 'tone' } },
+    table: { type: 'table', fields: { rows: 'rows' } },
+    divider: { type: 'divider', fields: {} },
+    toggle: { type: 'toggle', fields: { title: 'title', content: 'content' } },
+    page: { type: 'section', fields: { title: 'title', content: 'content' } },
+    nested: { type: 'group', fields: { title: 'title', content: 'content' } },
+    embed: { type: 'embed', fields: { url: 'url', title: 'title' } },
+    video: { type: 'videoEmbed', fields: { url: 'url', title: 'title' } },
+};
+
+const EMBED_BLOCK_TYPES = ['url', 'richUrl', 'embed', 'video'];
+
+const VIDEO_URL = /(youtube\.com|youtu\.be|vimeo\.com|loom\.com)\//i;
+
+function buildCustomBlock(mapping, values, key) {
+    const customBlock = {
+        _type: mapping.type,
+        _key: key,
+    };
+
+    for (const [key, value] of Object.entries(values)) {
+        const field = mapping.fields[key];
+        if (!field || value === undefined || value === null) continue;
+        setFieldValue(customBlock, field, value);
+    }
+
+    return customBlock;
+}
+
+// Works out which custom kind a Craft block represents, looking at the
+// block type first and then at Craft decorations / Markdown syntax.
+function detectBlockKind(block) {
+    const markdown = block.markdown || '';
+    const decorations = block.decorations || [];
+
+    if (block.type === 'code' || /^```/.test(markdown)) return 'code';
+    if (
+        block.type === 'table' ||
+        (/^\s*\|.*\|\s*$/m.test(markdown) && /^\s*\|?\s*:?-{3,}/m.test(markdown))
+    ) {
+        return 'table';
+    }
+    if (block.type === 'line') return 'divider';
+    if (EMBED_BLOCK_TYPES.includes(block.type)) {
+        return block.type === 'video' || VIDEO_URL.test(block.url || '')
+            ? 'video'
+            : 'embed';
+    }
+    if (block.type !== 'text') return null;
+
+    if (
+        block.textStyle === 'quote' ||
+        decorations.includes('quote') ||
+        /^>\s?/.test(markdown)
+    ) {
+        return 'quote';
+    }
+    if (
+        block.textStyle === 'callout' ||
+        decorations.includes('callout') ||
+        decorations.includes('highlight')
+    ) {
+        return 'callout';
+    }
+
+    return 'text';
+}
+
+function extractCode(block) {
+    const markdown = block.markdown || '';
+    const fence = markdown.match(/^```([^\n`]*)\n([\s\S]*?)\n?```\s*$/);
+
+    return {
+        code: block.rawCode ?? block.code ?? (fence ? fence[2] : markdown),
+        language: block.language || (fence && fence[1].trim()) || undefined,
+    };
+}
+
+function splitTableRow(line) {
+    return line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function extractTableRows(block) {
+    let rows;
+    if (Array.isArray(block.rows)) {
+        rows = block.rows.map((row) =>
+            (Array.isArray(row) ? row : row.cells || []).map((cell) =>
+                typeof cell === 'string' ? cell : cell.markdown || cell.text || '',
+            ),
+        );
+    } else {
+        rows = (block.markdown || '')
+            .split('\n')
+            .filter((line) => line.includes('|'))
+            .filter((line) => !/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line))
+            .map(splitTableRow);
+    }
+
+    return rows.map((cells, index) => ({
+        _type: 'tableRow',
+        _key: blockKey(block, 'row', index),
+        cells,
+    }));
+}
+
+function textToPortableBlock(markdown, style = 'normal', key = stableKey('text', style, markdown)) {
+    const { children, markDefs } = parseInlineMarkdown(markdown, key);
+    return {
+        _type: 'block',
+        _key: key,
+        style: style,
+        markDefs: markDefs,
+        children: children,
+    };
+}
+
+// ==============================
+// Containers
+// ==============================
+const CONTAINER_POLICIES = ['flatten', 'block', 'skip'];
+
+// `nested` covers any block with indented children, `toggle` Craft's
+// collapsible blocks and `page` sub-page cards.
+function getContainerKind(block) {
+    if (block.type === 'page' || block.type === 'card') return 'page';
+    if (block.listStyle === 'toggle') return 'toggle';
+    if (Array.isArray(block.content) && block.content.length > 0) return 'nested';
+    return null;
+}
+
+// ==============================
+// Images
+// ==============================
+function collectImageBlocks(blocks, images = []) {
+    for (const block of blocks || []) {
+        if (block.type === 'image' && block.url) {
+            images.push(block);
+        }
+        collectImageBlocks(block.content, images);
+    }
+    return images;
+}
+
+function removeBlock(blocks, target) {
+    return blocks
+        .filter((block) => block !== target)
+        .map((block) =>
+            Array.isArray(block.content)
+                ? { ...block, content: removeBlock(block.content, target) }
+                : block,
+        );
+}
+
+function getImageDetails(block) {
+    const markdownImage = (block.markdown || '').match(
+        /!\[([^\]]*)\]\(\S+?(?:\s+"([^"]*)")?\)/,
+    );
+
+    return {
+        alt: block.altText || block.alt || (markdownImage && markdownImage[1]) || undefined,
+        caption: block.caption || (markdownImage && markdownImage[2]) || undefined,
+        width: block.width,
+        height: block.height,
+    };
+}
+
+// ==============================
+// Links between documents
+// ==============================
+// Craft links to a document or block: `craftdocs://open?blockId=<id>&...`
+// (Copy Deeplink) or `block://<id>` in API Markdown.
+// → the block ID, or null for any other URL
+function parseCraftLink(href) {
+    const block = href.match(/^block:\/\/([^/?#]+)/i);
+    if (!block && !/^craftdocs:\/\//i.test(href)) return null;
+
+    // A malformed URL or escape sequence is an unresolvable link
+    try {
+        if (block) return decodeURIComponent(block[1]);
+        const url = new URL(href);
+        return url.searchParams.get('blockId') || url.searchParams.get('documentId') || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The `href` of every inline link in a Craft block tree
+function collectLinkHrefs(blocks, hrefs = []) {
+    for (const block of blocks || []) {
+        if (block.markdown && block.markdown.includes('](')) {
+            const { markDefs } = parseInlineMarkdown(block.markdown);
+            hrefs.push(...markDefs.map((markDef) => markDef.href));
+        }
+        collectLinkHrefs(block.content, hrefs);
+    }
+    return hrefs;
+}
+
+function collectBlockIds(blocks, ids = []) {
+    for (const block of blocks || []) {
+        if (block.id) ids.push(block.id);
+        collectBlockIds(block.content, ids);
+    }
+    return ids;
+}
+
+// Every annotation in converted Portable Text, including text inside
+// custom blocks. → [{ block, index }] with `block.markDefs[index]`
+function findMarkDefs(value, found = []) {
+    if (Array.isArray(value)) {
+        value.forEach((item) => findMarkDefs(item, found));
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            if (key === 'markDefs' && Array.isArray(child)) {
+                for (const index of child.keys()) found.push({ block: value, index });
+            } else {
+                findMarkDefs(child, found);
+            }
+        }
+    }
+    return found;
+}
+
+module.exports = {
+    stableKey,
+    blockKey,
+    ensureUniqueKeys,
+    parseInlineMarkdown,
+    LIST_MARKER,
+    parseListItem,
+    DEFAULT_BLOCK_MAPPINGS,
+    buildCustomBlock,
+    detectBlockKind,
+    extractCode,
+    extractTableRows,
+    textToPortableBlock,
+    CONTAINER_POLICIES,
+    getContainerKind,
+    collectImageBlocks,
+    removeBlock,
+    getImageDetails,
+    parseCraftLink,
+    collectLinkHrefs,
+    collectBlockIds,
+    findMarkDefs,
+};
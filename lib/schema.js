@@ -0,0 +1,377 @@
+const { findSimilarName } = require('./text');
+const { SEVERITIES, DEFAULT_VALIDATION } = require('./validation');
+
+// ==============================
+// Schema validation
+// ==============================
+// A small subset of JSON Schema, enough to describe config.json:
+//
+//   type        'object' | 'array' | 'string' | 'number' | 'boolean' | 'null' | 'any', or a list
+//   properties  known keys of an object; other keys are reported as unknown
+//   values      schema for every key of a map-like object (targets, references, ...)
+//   open        (value) → true when unknown keys are allowed
+//   required    keys that must be present (not checked with `partial`)
+//   items       schema for array items
+//   enum        allowed values
+//   anyOf       alternatives, e.g. a marker string or an object
+//
+// → [{ path, message }]
+function validateSchema(value, schema, { path = '', partial = false } = {}) {
+    const errors = [];
+    walk(value, schema, path, { partial, errors });
+    return errors;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function walk(value, schema, path, context) {
+    const report = (message) => context.errors.push({ path: path || '(root)', message });
+
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map((alternative) =>
+            validateSchema(value, alternative, { path, partial: context.partial }),
+        );
+        if (attempts.some((errors) => errors.length === 0)) return;
+
+        // Report the alternative of the same type, e.g. an object's typo
+        // rather than "must be a string"
+        const sameType = schema.anyOf.findIndex((alternative) => acceptsType(alternative, typeOf(value)));
+        if (sameType !== -1) {
+            context.errors.push(...attempts[sameType]);
+        } else {
+            report(`must be ${describeTypes(schema.anyOf)}, got ${typeOf(value)}`);
+        }
+        return;
+    }
+
+    const type = typeOf(value);
+    if (!acceptsType(schema, type)) {
+        report(`must be ${describeTypes([schema])}, got ${type}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        report(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+        return;
+    }
+
+    if (type === 'array' && schema.items) {
+        value.forEach((item, index) => walk(item, schema.items, joinPath(path, index), context));
+    }
+
+    if (type === 'object' && (schema.properties || schema.values)) {
+        if (!context.partial) {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    context.errors.push({ path: joinPath(path, key), message: 'is required' });
+                }
+            }
+        }
+
+        const known = Object.keys(schema.properties || {});
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties?.[key] || schema.values;
+            if (childSchema) {
+                walk(child, childSchema, joinPath(path, key), context);
+            } else if (!schema.open || !schema.open(value)) {
+                const similar = findSimilarName(key, known.map((name) => ({ name })));
+                context.errors.push({
+                    path: joinPath(path, key),
+                    message: `unknown key${similar ? ` (did you mean "${similar.match.name}"?)` : ''}`,
+                });
+            }
+        }
+    }
+}
+
+function acceptsType(schema, type) {
+    if (!schema.type) return true;
+    const types = [].concat(schema.type);
+    return types.includes('any') || types.includes(type);
+}
+
+function describeTypes(schemas) {
+    const names = schemas.flatMap((schema) => [].concat(schema.type || 'any'));
+    const unique = [...new Set(names)].map((name) =>
+        name === 'null' ? 'null' : `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`,
+    );
+    return unique.length > 1
+        ? `${unique.slice(0, -1).join(', ')} or ${unique[unique.length - 1]}`
+        : unique[0];
+}
+
+// ==============================
+// config.json schema
+// ==============================
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const boolean = { type: 'boolean' };
+const number = { type: 'number' };
+
+// Craft value → Sanity field path, `null` to leave the field out
+const fieldMap = { type: 'object', values: nullableString };
+
+const REDIRECT_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: boolean,
+        type: string,
+        pathPrefix: string,
+        permanent: boolean,
+        fields: {
+            type: 'object',
+            properties: { from: nullableString, to: nullableString, permanent: nullableString },
+        },
+    },
+};
+
+const BLOCK_MAPPING_SCHEMA = {
+    anyOf: [
+        { type: ['null', 'boolean'], enum: [null, false] },
+        { type: 'object', properties: { type: nullableString, style: string, fields: fieldMap } },
+    ],
+};
+
+const BLOCKS_SCHEMA = {
+    type: 'object',
+    properties: {
+        image: {
+            type: 'object',
+            properties: {
+                fields: {
+                    type: 'object',
+                    properties: { alt: nullableString, caption: nullableString, width: nullableString, height: nullableString },
+                },
+            },
+        },
+        todo: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: ['mark', 'type'] },
+                listItem: { type: 'string', enum: ['bullet', 'number'] },
+                checkedMark: nullableString,
+                type: string,
+                fields: {
+                    type: 'object',
+                    properties: { checked: nullableString, text: nullableString },
+                },
+            },
+        },
+        ...Object.fromEntries(
+            ['code', 'quote', 'callout', 'table', 'divider', 'toggle', 'page', 'nested', 'embed', 'video'].map(
+                (kind) => [kind, BLOCK_MAPPING_SCHEMA],
+            ),
+        ),
+    },
+};
+
+const SEVERITY = { type: 'string', enum: SEVERITIES };
+
+const VALIDATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        required: { type: 'array', items: string },
+        slugPattern: nullableString,
+        maxLength: { type: 'object', values: number },
+        severity: {
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(DEFAULT_VALIDATION.severity).map((rule) => [rule, SEVERITY])),
+        },
+    },
+};
+
+const TARGET_SCHEMA = {
+    type: 'object',
+    required: ['type', 'fields'],
+    properties: {
+        type: string,
+        fields: { ...fieldMap, required: ['slug'] },
+        blocks: BLOCKS_SCHEMA,
+        redirect: REDIRECT_SCHEMA,
+        references: { type: ['array', 'null'], items: string },
+        validation: VALIDATION_SCHEMA,
+    },
+};
+
+const REFERENCE_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        source: string,
+        type: string,
+        matchField: string,
+        slugField: nullableString,
+        multiple: boolean,
+        strategy: { type: 'string', enum: ['exact', 'case-insensitive', 'slug', 'fuzzy'] },
+        threshold: number,
+        onFuzzy: { type: 'string', enum: ['ask', 'accept', 'reject'] },
+        create: { type: 'string', enum: ['auto', 'fail', 'ask'] },
+        defaults: { type: 'object', values: { type: 'any' } },
+    },
+};
+
+const BUILTIN_METADATA_TYPES = ['string', 'list', 'boolean', 'number', 'date', 'datetime', 'url'];
+
+const METADATA_SCHEMA = {
+    anyOf: [
+        string,
+        {
+            type: 'object',
+            required: ['marker'],
+            properties: {
+                marker: string,
+                type: string,
+                target: string,
+                required: boolean,
+                default: { type: 'any' },
+                timezone: string,
+                separator: string,
+            },
+            // Custom parsers may read options of their own
+            open: (entry) => entry.type !== undefined && !BUILTIN_METADATA_TYPES.includes(entry.type),
+        },
+    ],
+};
+
+const CONTAINER_POLICY = { type: 'string', enum: ['flatten', 'block', 'skip'] };
+const CONTAINER_SCHEMA = {
+    anyOf: [
+        CONTAINER_POLICY,
+        { type: 'object', properties: { policy: CONTAINER_POLICY, headingStyle: string } },
+    ],
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    required: ['sanity', 'craft'],
+    properties: {
+        sanity: {
+            type: 'object',
+            properties: {
+                projectId: nullableString,
+                dataset: nullableString,
+                tokenEnv: nullableString,
+                post: TARGET_SCHEMA,
+                targets: { type: 'object', values: TARGET_SCHEMA },
+                routing: {
+                    type: 'object',
+                    properties: {
+                        default: string,
+                        metadata: nullableString,
+                        rules: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['target'],
+                                properties: {
+                                    target: string,
+                                    metadata: string,
+                                    folder: string,
+                                    titlePattern: string,
+                                    flags: string,
+                                },
+                            },
+                        },
+                    },
+                },
+                redirect: REDIRECT_SCHEMA,
+                references: { type: 'object', values: REFERENCE_SCHEMA },
+                validation: VALIDATION_SCHEMA,
+                links: {
+                    type: 'object',
+                    properties: {
+                        type: string,
+                        fields: {
+                            type: 'object',
+                            properties: { reference: string, craftId: nullableString },
+                        },
+                        onMissing: { type: 'string', enum: ['placeholder', 'sync'] },
+                    },
+                },
+                // Before sanity.references
+                author: {
+                    type: 'object',
+                    required: ['type', 'fields'],
+                    properties: {
+                        type: string,
+                        fields: { type: 'object', required: ['name'], properties: { name: string, slug: nullableString } },
+                    },
+                },
+                category: {
+                    type: 'object',
+                    required: ['type', 'fields'],
+                    properties: {
+                        type: string,
+                        fields: {
+                            type: 'object',
+                            required: ['title'],
+                            properties: { title: string, slug: nullableString, description: nullableString },
+                        },
+                    },
+                },
+            },
+        },
+        // Custom source and destination modules receive these options, so
+        // unknown keys are allowed
+        source: {
+            type: 'object',
+            properties: { type: string, dir: nullableString },
+            open: () => true,
+        },
+        destination: {
+            type: 'object',
+            properties: { type: string, dir: nullableString, format: { type: 'string', enum: ['ndjson', 'json'] } },
+            open: () => true,
+        },
+        slug: {
+            type: 'object',
+            properties: {
+                transliterate: nullableString,
+                allowUnicode: boolean,
+                maxLength: number,
+                fallback: { type: 'string', enum: ['hash', 'id'] },
+            },
+        },
+        network: {
+            type: 'object',
+            properties: {
+                timeout: number,
+                retries: number,
+                retryDelay: number,
+                maxRetryDelay: number,
+                imageConcurrency: number,
+            },
+        },
+        craft: {
+            type: 'object',
+            required: ['metadata'],
+            properties: {
+                apiUrl: nullableString,
+                tokenEnv: nullableString,
+                metadata: { type: 'object', values: METADATA_SCHEMA },
+                parsers: { type: 'object', values: string },
+                containers: {
+                    type: 'object',
+                    properties: { nested: CONTAINER_SCHEMA, toggle: CONTAINER_SCHEMA, page: CONTAINER_SCHEMA },
+                },
+            },
+        },
+        // Profiles hold overrides of the keys above; they are checked with
+        // `partial` and again once merged
+        profiles: { type: 'object', values: { type: 'object' } },
+    },
+};
+
+module.exports = {
+    validateSchema,
+    CONFIG_SCHEMA,
+    BUILTIN_METADATA_TYPES,
+};
@@ -0,0 +1,465 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+
+const { normalizeForMatching } = require('./text');
+const { fetchWithRetry } = require('./network');
+const { LIST_MARKER, parseCraftLink } = require('./portable-text');
+
+// ==============================
+// Content sources
+// ==============================
+// A source is where documents come from. Every source returns the same
+// shapes, so metadata extraction, conversion and the Sanity writes do not
+// care whether content lives in Craft or on disk:
+//
+//   name                  label used in logs and asset metadata
+//   listDocuments()       → [{ id, title, folder?, revision? }]
+//   fetchBlocks(id)       → Craft block tree: [{ type: 'page', markdown: <title>, content: [...] }]
+//   resolveLink(href, id) → optional; for a link in document `id` to another
+//                           document: { documentId } or { blockId }, else null.
+//                           Without it, Craft links (craftdocs://, block://) are
+//                           recognized.
+//
+// Images are referenced by URL; local files use `file://` URLs and are
+// read from disk by uploadImageFromUrl.
+const SOURCE_TYPES = {
+    craft: (options, context) => createCraftApiSource(options, context),
+    markdown: (options, context) => createMarkdownSource(options, context),
+    'craft-export': (options, context) => createCraftExportSource(options, context),
+};
+
+// `source.type` is one of SOURCE_TYPES or the path of a module exporting
+// `(options, context) => source`, resolved relative to `context.baseDir`.
+//
+// `context` carries what file sources need from the bridge:
+//   baseDir               directory relative paths are resolved against
+//   logger                console-compatible logger for warnings
+//   metadataDefinitions() → craft.metadata entries, to map front matter keys
+//   network               timeout and retry settings (see network.js)
+function createSource(options = {}, context = {}) {
+    context = sourceContext(context);
+    const type = options.type || 'craft';
+    if (SOURCE_TYPES[type]) return SOURCE_TYPES[type](options, context);
+
+    if (type.startsWith('.') || path.isAbsolute(type)) {
+        const loaded = require(path.resolve(context.baseDir, type));
+        const factory = loaded.createSource || loaded.default || loaded;
+        return factory(options, context);
+    }
+
+    throw sourceError(
+        'INVALID_CONFIG',
+        `Unknown source type "${type}" (expected ${Object.keys(SOURCE_TYPES).join(', ')} or a module path)`,
+    );
+}
+
+function sourceContext(context) {
+    return {
+        baseDir: process.cwd(),
+        logger: console,
+        metadataDefinitions: () => [],
+        network: {},
+        ...context,
+    };
+}
+
+// Errors carry a stable `code` (see getErrorCode in logger.js)
+function sourceError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// `apiUrl` and `token` default to CRAFT_API_URL / CRAFT_TOKEN. Requests
+// time out and are retried as set in `context.network`.
+function createCraftApiSource(options = {}, context = {}) {
+    context = sourceContext(context);
+    const api = {
+        url: options.apiUrl || process.env.CRAFT_API_URL,
+        token: options.token || process.env.CRAFT_TOKEN,
+        retry: { network: context.network, logger: context.logger },
+    };
+    return {
+        name: 'craft',
+        listDocuments: () => fetchDocumentList(api),
+        fetchBlocks: (documentId) => fetchCraftBlocks(api, documentId),
+        resolveLink: (href) => craftLink(href),
+    };
+}
+
+async function fetchDocumentList(api) {
+    const url = `${api.url}/documents`;
+    const data = await fetchWithRetry(url, {
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${api.token}` // Token認証を追加
+        },
+    }, { ...api.retry, label: 'Failed to fetch documents', read: (response) => response.json() });
+    if (Array.isArray(data)) {
+        return data;
+    } else if (data.items && Array.isArray(data.items)) {
+        return data.items;
+    } else {
+        throw sourceError('SOURCE_ERROR', 'Unexpected response format from Craft API');
+    }
+}
+
+async function fetchCraftBlocks(api, documentId) {
+    // maxDepth=-1 returns the whole block tree, not just the first level
+    const url = `${api.url}/blocks?id=${documentId}&maxDepth=-1`;
+    const data = await fetchWithRetry(url, {
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${api.token}` // Token認証を追加
+        },
+    }, { ...api.retry, label: 'Failed to fetch document', read: (response) => response.json() });
+    return Array.isArray(data) ? data : [data];
+}
+
+function craftLink(href) {
+    const blockId = parseCraftLink(href);
+    return blockId ? { blockId } : null;
+}
+
+// ==============================
+// Local files (Markdown / Craft export)
+// ==============================
+// A missing or wrong directory is a configuration problem (INVALID_CONFIG),
+// not a failed sync.
+function resolveSourceDir(options, type, context) {
+    if (!options.dir) {
+        throw sourceError('INVALID_CONFIG', `The ${type} source needs a directory (source.dir or --source-dir)`);
+    }
+    const dir = path.resolve(context.baseDir, options.dir);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw sourceError('INVALID_CONFIG', `Source directory not found: ${dir}`);
+    }
+    return dir;
+}
+
+// Files under `dir` with one of `extensions`, as paths relative to `dir`.
+// Dot-folders (e.g. `.git`) and `node_modules` are not searched.
+function findSourceFiles(dir, extensions, relative = '') {
+    const files = [];
+    const entries = fs.readdirSync(path.join(dir, relative), { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const entryPath = path.posix.join(relative, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...findSourceFiles(dir, extensions, entryPath));
+        } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+// Lists the files under a directory as documents. `describe` reads a file
+// and returns `{ id, title, blocks }`; results are kept for fetchBlocks.
+function createFileSource(name, dir, extensions, describe) {
+    const documents = new Map();
+
+    return {
+        name,
+        async listDocuments() {
+            documents.clear();
+            for (const file of findSourceFiles(dir, extensions)) {
+                const raw = fs.readFileSync(path.join(dir, file), 'utf8');
+                const document = describe(file, raw);
+                if (documents.has(document.id)) {
+                    throw sourceError(
+                        'SOURCE_ERROR',
+                        `Duplicate document ID "${document.id}" (${documents.get(document.id).file} and ${file})`,
+                    );
+                }
+                const folder = path.posix.dirname(file);
+                documents.set(document.id, {
+                    ...document,
+                    file,
+                    folder: folder === '.' ? null : folder,
+                    revision: `sha1:${crypto.createHash('sha1').update(raw).digest('hex')}`,
+                });
+            }
+            return [...documents.values()].map(({ id, title, folder, revision }) => ({
+                id,
+                title,
+                folder,
+                revision,
+            }));
+        },
+        async fetchBlocks(documentId) {
+            if (documents.size === 0) await this.listDocuments();
+            const document = documents.get(documentId);
+            if (!document) {
+                throw sourceError('DOCUMENT_NOT_FOUND', `Document ${documentId} not found in ${dir}`);
+            }
+            return document.blocks;
+        },
+        // Relative links to another file of this source, e.g. `../about.md`
+        async resolveLink(href, documentId) {
+            const link = craftLink(href);
+            if (link || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) return link;
+
+            if (documents.size === 0) await this.listDocuments();
+            const from = documents.get(documentId);
+            // A leading `/` is the source directory
+            const relative = decodeURI(href.split('#')[0]);
+            const file = relative.startsWith('/')
+                ? path.posix.normalize(relative.substring(1))
+                : path.posix.join(path.posix.dirname(from ? from.file : ''), relative);
+            const linked = [...documents.values()].find((document) => document.file === file);
+            return linked ? { documentId: linked.id } : null;
+        },
+    };
+}
+
+// A directory of Markdown files with optional YAML-style front matter.
+// Front matter keys are matched to `craft.metadata` entries (by key,
+// target or marker), so they are parsed exactly like Craft metadata lines.
+function createMarkdownSource(options = {}, context = {}) {
+    context = sourceContext(context);
+    const dir = resolveSourceDir(options, 'markdown', context);
+    return createFileSource('markdown', dir, ['.md', '.markdown'], (file, raw) =>
+        describeMarkdownFile(dir, file, raw, context),
+    );
+}
+
+// A folder exported from Craft: `.json` files holding the block tree as
+// the API returns it, and/or `.md` files from the Markdown export, with
+// images next to them on disk.
+function createCraftExportSource(options = {}, context = {}) {
+    context = sourceContext(context);
+    const dir = resolveSourceDir(options, 'craft-export', context);
+    return createFileSource('craft-export', dir, ['.json', '.md', '.markdown'], (file, raw) => {
+        if (path.extname(file).toLowerCase() !== '.json') {
+            return describeMarkdownFile(dir, file, raw, context);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw sourceError('SOURCE_ERROR', `Invalid JSON in ${file}: ${error.message}`);
+        }
+        const blocks = Array.isArray(data) ? data : Array.isArray(data.items) ? data.items : [data];
+        const baseDir = path.dirname(path.join(dir, file));
+        blocks.forEach((block) => resolveLocalImages(block, baseDir));
+
+        const pageBlock = blocks[0] || {};
+        return {
+            id: pageBlock.id || file.replace(/\.json$/i, ''),
+            title: pageBlock.markdown || path.posix.basename(file, '.json'),
+            blocks,
+        };
+    });
+}
+
+function toImageUrl(src, baseDir) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(src)) return src;
+    return pathToFileURL(path.resolve(baseDir, decodeURI(src))).href;
+}
+
+function resolveLocalImages(block, baseDir) {
+    if (block.type === 'image' && block.url) {
+        block.url = toImageUrl(block.url, baseDir);
+    }
+    (block.content || []).forEach((child) => resolveLocalImages(child, baseDir));
+}
+
+function describeMarkdownFile(dir, file, raw, context) {
+    const { data, body } = parseFrontMatter(raw);
+    const baseDir = path.dirname(path.join(dir, file));
+    const content = markdownToBlocks(body, baseDir);
+
+    // Without a `title` in front matter, a leading `# Title` is the title
+    let title = data.title;
+    if (!title && content[0]?.textStyle === 'h1') {
+        title = content.shift().markdown.replace(/^#\s+/, '');
+    }
+    title = title || path.posix.basename(file).replace(/\.(md|markdown)$/i, '');
+
+    const metadataBlocks = frontMatterToMetadataBlocks(data, file, context);
+    return {
+        id: String(data.id || file.replace(/\.(md|markdown)$/i, '')),
+        title: String(title),
+        blocks: [
+            {
+                type: 'page',
+                markdown: String(title),
+                content: metadataBlocks.length > 0
+                    ? [...metadataBlocks, { type: 'line', markdown: '---' }, ...content]
+                    : content,
+            },
+        ],
+    };
+}
+
+// Reads the front matter subset used by static-site generators: `key:
+// value` pairs, quoted strings, `[a, b]` lists and `- item` lists.
+function parseFrontMatter(raw) {
+    const match = raw.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\s*(?:\r?\n|$)/);
+    if (!match) return { data: {}, body: raw };
+
+    const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+    const data = {};
+    let listKey = null;
+
+    for (const line of match[1].split(/\r?\n/)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        const item = line.match(/^\s+-\s+(.*)$/);
+        if (item && listKey) {
+            data[listKey].push(unquote(item[1]));
+            continue;
+        }
+
+        const pair = line.match(/^([\w .-]+?)\s*:\s*(.*)$/);
+        if (!pair) {
+            throw sourceError('SOURCE_ERROR', `Cannot read front matter line "${line}"`);
+        }
+        const [, key, value] = pair;
+        listKey = null;
+        if (value === '') {
+            data[key] = [];
+            listKey = key;
+        } else if (/^\[.*\]$/.test(value.trim())) {
+            data[key] = value.trim().slice(1, -1).split(',').map(unquote).filter(Boolean);
+        } else {
+            data[key] = unquote(value);
+        }
+    }
+
+    return { data, body: raw.substring(match[0].length) };
+}
+
+// Front matter becomes the metadata lines Craft documents start with.
+function frontMatterToMetadataBlocks(data, file, context) {
+    const definitions = context.metadataDefinitions();
+    const blocks = [];
+
+    for (const [key, value] of Object.entries(data)) {
+        if (key === 'title' || key === 'id') continue;
+
+        const wanted = normalizeForMatching(key);
+        const definition = definitions.find(
+            (candidate) =>
+                normalizeForMatching(candidate.key) === wanted ||
+                normalizeForMatching(candidate.target) === wanted ||
+                normalizeForMatching((candidate.marker || '').replace(/:\s*$/, '')) === wanted,
+        );
+        if (!definition || !definition.marker) {
+            context.logger.warn(`  ⚠ ${file}: front matter "${key}" has no craft.metadata entry, ignored`);
+            continue;
+        }
+
+        const text = Array.isArray(value) ? value.join(definition.separator || ', ') : value;
+        blocks.push({ type: 'text', markdown: `${definition.marker} ${text}`.trimEnd() });
+    }
+    return blocks;
+}
+
+// Splits a Markdown body into Craft-shaped blocks: one per paragraph,
+// heading, list item, quote, table or code fence. Inline syntax stays in
+// `markdown` and is handled by the regular conversion.
+function markdownToBlocks(markdown, baseDir) {
+    const blocks = [];
+    const lines = markdown.split(/\r?\n/);
+    let paragraph = [];
+
+    const flush = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'text', markdown: paragraph.join(' ') });
+            paragraph = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const fence = line.match(/^\s*(```|~~~)(.*)$/);
+        if (fence) {
+            flush();
+            const code = [];
+            while (i + 1 < lines.length && !lines[i + 1].trim().startsWith(fence[1])) {
+                code.push(lines[++i]);
+            }
+            i++;
+            blocks.push({ type: 'text', markdown: `\`\`\`${fence[2].trim()}\n${code.join('\n')}\n\`\`\`` });
+            continue;
+        }
+
+        if (!line.trim()) {
+            flush();
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush();
+            blocks.push({ type: 'line', markdown: '---' });
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flush();
+            blocks.push({ type: 'text', textStyle: `h${heading[1].length}`, markdown: line.trim() });
+            continue;
+        }
+
+        const image = line.match(/^\s*!\[([^\]]*)\]\((\S+?)(?:\s+"([^"]*)")?\)\s*$/);
+        if (image) {
+            flush();
+            blocks.push({
+                type: 'image',
+                url: toImageUrl(image[2], baseDir),
+                altText: image[1] || undefined,
+                caption: image[3] || undefined,
+                markdown: line.trim(),
+            });
+            continue;
+        }
+
+        // Quotes and tables run until their first line that is not one
+        const group = /^\s*>/.test(line) ? /^\s*>/ : /^\s*\|/.test(line) ? /^\s*\|/ : null;
+        if (group) {
+            flush();
+            const grouped = [line];
+            while (i + 1 < lines.length && group.test(lines[i + 1])) {
+                grouped.push(lines[++i]);
+            }
+            blocks.push({ type: 'text', markdown: grouped.join('\n') });
+            continue;
+        }
+
+        if (LIST_MARKER.test(line)) {
+            flush();
+            blocks.push({ type: 'text', markdown: line });
+            continue;
+        }
+
+        // Indented lines continue the previous list item
+        const previous = blocks[blocks.length - 1];
+        if (paragraph.length === 0 && /^\s+\S/.test(line) && previous && LIST_MARKER.test(previous.markdown)) {
+            previous.markdown += ` ${line.trim()}`;
+            continue;
+        }
+
+        paragraph.push(line.trim());
+    }
+    flush();
+
+    return blocks;
+}
+
+module.exports = {
+    createSource,
+    createCraftApiSource,
+    createMarkdownSource,
+    createCraftExportSource,
+    parseFrontMatter,
+    markdownToBlocks,
+};
@@ -0,0 +1,88 @@
+// ==============================
+// Levenshtein & fuzzy matching
+// ==============================
+// Compares normalized code points, so accents, full-width forms and
+// surrogate pairs do not inflate the distance.
+function levenshteinDistance(str1, str2) {
+    const s = Array.from(normalizeForMatching(str1));
+    const t = Array.from(normalizeForMatching(str2));
+    if (!s.length) return t.length;
+    if (!t.length) return s.length;
+
+    const arr = [];
+    for (let i = 0; i <= t.length; i++) {
+        arr[i] = [i];
+        for (let j = 1; j <= s.length; j++) {
+            arr[i][j] =
+                i === 0
+                    ? j
+                    : Math.min(
+                        arr[i - 1][j] + 1,
+                        arr[i][j - 1] + 1,
+                        arr[i - 1][j - 1] + (s[j - 1] === t[i - 1] ? 0 : 1),
+                    );
+        }
+    }
+    return arr[t.length][s.length];
+}
+
+function findSimilarName(input, existingItems, threshold = 2) {
+    let bestMatch = null;
+    let bestDistance = Infinity;
+
+    for (const item of existingItems) {
+        const base = item.name || item.title;
+
+        if (!base || typeof base !== 'string') {
+            continue;
+        }
+
+        const distance = levenshteinDistance(input, base);
+        if (distance < bestDistance && distance <= threshold) {
+            bestDistance = distance;
+            bestMatch = item;
+        }
+    }
+
+    return bestMatch ? { match: bestMatch, distance: bestDistance } : null;
+}
+
+// ==============================
+// Unicode normalization
+// ==============================
+// Letters that do not decompose into a base letter + combining mark
+const LATIN_LIGATURES = {
+    ß: 'ss',
+    æ: 'ae',
+    œ: 'oe',
+    ø: 'o',
+    đ: 'd',
+    ð: 'd',
+    ł: 'l',
+    þ: 'th',
+    ı: 'i',
+};
+
+// NFKC folds full-width and compatibility characters (`Ｋｅｙ` → `Key`).
+// Combining marks are only dropped after Latin letters, so `é` becomes
+// `e` while Japanese dakuten (`が`) survive.
+function removeDiacritics(text) {
+    return text
+        .normalize('NFD')
+        .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+        .normalize('NFC')
+        .replace(/[ßæœøđðłþı]/g, (ch) => LATIN_LIGATURES[ch]);
+}
+
+function normalizeForMatching(text) {
+    return removeDiacritics((text || '').normalize('NFKC').toLowerCase())
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    levenshteinDistance,
+    findSimilarName,
+    removeDiacritics,
+    normalizeForMatching,
+};
@@ -0,0 +1,141 @@
+// ==============================
+// Pre-publish validation
+// ==============================
+// Rules come from `sanity.validation`, overridden per target by the
+// target's own `validation`:
+//
+//   required    metadata keys that must be set in the document; a value
+//               filled in from a `default` does not count
+//   slugPattern regular expression the slug must match (default: the slug
+//               must already be in the form slugify produces)
+//   maxLength   metadata key → longest allowed value, e.g. { "seoTitle": 60 }
+//   severity    rule → "error", "warning" or "off"
+//
+// Rules: required, slug, uniqueSlug, maxLength, images, emptyBody, links.
+const DEFAULT_VALIDATION = {
+    required: ['title', 'slug'],
+    slugPattern: null,
+    maxLength: {},
+    severity: {
+        required: 'error',
+        slug: 'error',
+        uniqueSlug: 'error',
+        maxLength: 'warning',
+        images: 'error',
+        emptyBody: 'error',
+        links: 'warning',
+    },
+};
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+function getValidationRules(...overrides) {
+    return overrides.filter(Boolean).reduce(
+        (rules, override) => ({
+            ...rules,
+            ...override,
+            maxLength: { ...rules.maxLength, ...(override.maxLength || {}) },
+            severity: { ...rules.severity, ...(override.severity || {}) },
+        }),
+        DEFAULT_VALIDATION,
+    );
+}
+
+function isEmpty(value) {
+    return (
+        value === undefined ||
+        value === null ||
+        (typeof value === 'string' && !value.trim()) ||
+        (Array.isArray(value) && value.length === 0)
+    );
+}
+
+// Rules set to "off" report nothing
+function reporter(rules, problems) {
+    return (rule, field, message) => {
+        if (rules.severity[rule] !== 'off') {
+            problems.push({ rule, severity: rules.severity[rule], field, message });
+        }
+    };
+}
+
+// Checks the extracted metadata. `defaulted` holds the keys filled in from
+// a default rather than the document, `isSlug(slug)` tells whether a slug
+// is already in slug form and `conflict` is another document using the
+// same slug, if any.
+// → [{ rule, severity, field, message }]
+function checkMetadata(metadata, rules, { defaulted = new Set(), isSlug = () => true, conflict = null } = {}) {
+    const problems = [];
+    const report = reporter(rules, problems);
+
+    for (const key of rules.required) {
+        if (isEmpty(metadata[key])) {
+            report('required', key, 'is missing');
+        } else if (defaulted.has(key)) {
+            report('required', key, `is missing (the default ${JSON.stringify(metadata[key])} would be used)`);
+        }
+    }
+
+    const slug = metadata.slug;
+    if (typeof slug === 'string' && slug) {
+        if (rules.slugPattern) {
+            if (!new RegExp(rules.slugPattern, 'u').test(slug)) {
+                report('slug', 'slug', `"${slug}" does not match ${rules.slugPattern}`);
+            }
+        } else if (!isSlug(slug)) {
+            report('slug', 'slug', `"${slug}" is not a valid slug (use lowercase words joined by "-")`);
+        }
+    }
+    if (conflict) {
+        report('uniqueSlug', 'slug', `"${slug}" is already used by ${conflict._id}`);
+    }
+
+    for (const [key, max] of Object.entries(rules.maxLength)) {
+        const value = metadata[key];
+        if (typeof value === 'string' && [...value].length > max) {
+            report('maxLength', key, `is ${[...value].length} characters long (max ${max})`);
+        }
+    }
+
+    return problems;
+}
+
+// Checks the converted content: images that could not be uploaded (they
+// would be dropped), a body with nothing in it and links to documents that
+// are not synced yet (left as placeholders).
+function checkContent({ body = [], failedImages = [], unresolvedLinks = [] }, rules) {
+    const problems = [];
+    const report = reporter(rules, problems);
+
+    for (const image of failedImages) {
+        report('images', 'body', `image ${image.url} could not be uploaded (${image.error})`);
+    }
+    if (body.length === 0) {
+        report('emptyBody', 'body', 'is empty');
+    }
+    for (const link of unresolvedLinks) {
+        report('links', 'body', `links to "${link.title}" (${link.id}), which is not synced yet - left as a placeholder`);
+    }
+
+    return problems;
+}
+
+// Errors carry `code` and the individual problems, like configError.
+function validationError(problems, title) {
+    const error = new Error(
+        `"${title}" cannot be published:\n` +
+            problems.map((problem) => `  - ${problem.field}: ${problem.message}`).join('\n'),
+    );
+    error.code = 'VALIDATION_FAILED';
+    error.errors = problems;
+    return error;
+}
+
+module.exports = {
+    DEFAULT_VALIDATION,
+    SEVERITIES,
+    getValidationRules,
+    checkMetadata,
+    checkContent,
+    validationError,
+};
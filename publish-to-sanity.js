@@ -1,696 +1,651 @@
-require('dotenv').config();
-
-const sanityClient = require('@sanity/client');
-const fetch = require('node-fetch');
-const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto'); // ID生成用
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+const { createBridge, loadConfig, createLogger, getErrorCode } = require('./lib');
 
 // ==============================
-// Config loading
+// CLI
 // ==============================
-let config;
-try {
-    const customConfigPath = path.join(__dirname, 'config.json');
-    if (fs.existsSync(customConfigPath)) {
-        config = JSON.parse(fs.readFileSync(customConfigPath, 'utf8'));
-        console.log('✓ Using custom configuration (config.json)\n');
-    } else {
-        config = JSON.parse(
-            fs.readFileSync(path.join(__dirname, 'config.default.json'), 'utf8'),
-        );
-        console.log('✓ Using default configuration (config.default.json)\n');
+// Thin wrapper over lib/: parses arguments, prints progress and exits with
+// one of EXIT_CODES. Use `require('craft-sanity-bridge')` (see README) to
+// run syncs from your own code.
+const EXIT_CODES = {
+    ok: 0,
+    failed: 1, // a sync, API call or write failed
+    usage: 2, // unknown command or option, missing argument
+    config: 3, // config or env file missing or invalid
+    notFound: 4, // no matching document, or no choice made
+    invalid: 5, // content failed pre-publish validation
+};
+
+// Error codes (see getErrorCode) with an exit code other than `failed`
+const ERROR_EXIT_CODES = {
+    USAGE: EXIT_CODES.usage,
+    CONFIG_NOT_FOUND: EXIT_CODES.config,
+    INVALID_CONFIG: EXIT_CODES.config,
+    ENV_NOT_FOUND: EXIT_CODES.config,
+    MISSING_CREDENTIALS: EXIT_CODES.config,
+    DOCUMENT_NOT_FOUND: EXIT_CODES.notFound,
+    AMBIGUOUS_DOCUMENT: EXIT_CODES.notFound,
+    CANCELLED: EXIT_CODES.notFound,
+    VALIDATION_FAILED: EXIT_CODES.invalid,
+};
+
+// Replaced in main() once --quiet / --verbose / --debug / --json are parsed
+let logger = createLogger();
+
+const OPTIONS = {
+    help: { type: 'boolean', short: 'h', description: 'Show help for the command' },
+    config: { type: 'string', value: '<path>', description: 'Config file to use instead of config.json' },
+    profile: { type: 'string', value: '<name>', description: 'Config profile to apply (see "profiles" in the config)' },
+    'env-file': { type: 'string', value: '<path>', description: 'Env file to load instead of .env' },
+    source: { type: 'string', value: '<type>', description: 'Source type (craft, markdown, craft-export or a module path)' },
+    'source-dir': { type: 'string', value: '<path>', description: 'Directory for file sources' },
+    destination: { type: 'string', value: '<type>', description: 'Destination type (sanity, file or a module path)' },
+    'destination-dir': { type: 'string', value: '<path>', description: 'Directory for the file destination' },
+    id: { type: 'string', value: '<id>', description: 'Select the document by ID instead of title' },
+    all: { type: 'boolean', description: 'Every document in the source' },
+    draft: { type: 'boolean', description: 'Work on drafts (drafts.<id>) instead of published documents' },
+    'dry-run': { type: 'boolean', description: 'Show what would change without writing' },
+    force: { type: 'boolean', description: 'Sync documents even if unchanged since the last sync' },
+    'refresh-images': { type: 'boolean', description: 'Re-upload images instead of using the image cache' },
+    'cleanup-assets': { type: 'boolean', description: 'Delete uploaded images when a sync fails' },
+    yes: { type: 'boolean', short: 'y', description: 'Do not ask for confirmation' },
+    interval: { type: 'string', value: '<seconds>', description: 'How often to check for changes (default: 30)' },
+    debounce: { type: 'string', value: '<seconds>', description: 'Sync once a document is unchanged this long (default: 10)' },
+    'catch-up': { type: 'boolean', description: 'Also sync documents changed since their last sync when the watch starts' },
+    quiet: { type: 'boolean', short: 'q', description: 'Only print warnings, errors and the outcome' },
+    verbose: { type: 'boolean', short: 'v', description: 'Also print metadata, references, images and links' },
+    debug: { type: 'boolean', description: 'Print everything, including stack traces' },
+    json: { type: 'boolean', description: 'Print one JSON event per line, ending with a "result" event' },
+};
+
+const GLOBAL_OPTIONS = [
+    'help', 'config', 'profile', 'env-file', 'source', 'source-dir', 'destination', 'destination-dir',
+    'quiet', 'verbose', 'debug', 'json',
+];
+
+const COMMANDS = {
+    list: {
+        usage: 'list [--draft]',
+        summary: 'List source documents with their sync status',
+        options: ['draft'],
+        run: runList,
+    },
+    sync: {
+        usage: 'sync <title query> | --id=<id> | --all [--draft] [--dry-run] [--force] [--refresh-images] [--cleanup-assets]',
+        summary: 'Sync one document, or every changed document with --all',
+        options: ['id', 'all', 'draft', 'dry-run', 'force', 'refresh-images', 'cleanup-assets'],
+        run: runSync,
+    },
+    status: {
+        usage: 'status [--draft]',
+        summary: 'Report which documents changed since they were last synced',
+        options: ['draft'],
+        run: runStatus,
+    },
+    diff: {
+        usage: 'diff <title query> | --id=<id> | --all [--draft]',
+        summary: 'Preview the changes a sync would make (same as sync --dry-run)',
+        options: ['id', 'all', 'draft'],
+        run: (bridge, args) => runSync(bridge, { ...args, 'dry-run': true }),
+    },
+    unpublish: {
+        usage: 'unpublish <title query> | --id=<id> [--dry-run] [--yes]',
+        summary: 'Turn the published document back into a draft',
+        // --draft is accepted so `npm run bridge -- unpublish` works; the result is always a draft
+        options: ['id', 'draft', 'dry-run', 'yes'],
+        run: runUnpublish,
+    },
+    watch: {
+        usage: 'watch [<title query> | --id=<id>] [--interval=<seconds>] [--debounce=<seconds>] [--catch-up]',
+        summary: 'Keep drafts in sync while documents are edited (never publishes)',
+        // --draft is accepted so `npm run bridge -- watch` works; watch always writes drafts
+        options: ['id', 'draft', 'interval', 'debounce', 'catch-up'],
+        run: runWatch,
+    },
+    delete: {
+        usage: 'delete <title query> | --id=<id> [--draft] [--dry-run] [--yes]',
+        summary: 'Delete the synced document and its draft (only the draft with --draft)',
+        options: ['id', 'draft', 'dry-run', 'yes'],
+        run: runDelete,
+    },
+};
+
+function printHelp(commandName) {
+    const command = COMMANDS[commandName];
+    const describe = (names) =>
+        names.forEach((name) => {
+            const option = OPTIONS[name];
+            const flag = `${option.short ? `-${option.short}, ` : ''}--${name}${option.value ? `=${option.value}` : ''}`;
+            console.log(`  ${flag.padEnd(28)} ${option.description}`);
+        });
+
+    if (command) {
+        console.log(`Usage: node publish-to-sanity.js ${command.usage}\n`);
+        console.log(`${command.summary}\n`);
+        console.log('Options:');
+        describe(command.options);
+        describe(GLOBAL_OPTIONS);
+        return;
+    }
+
+    console.log('Usage: node publish-to-sanity.js <command> [options]\n');
+    console.log('Commands:');
+    for (const [name, { summary }] of Object.entries(COMMANDS)) {
+        console.log(`  ${name.padEnd(28)} ${summary}`);
     }
-} catch (error) {
-    console.error('❌ Failed to load configuration:', error.message);
-    process.exit(1);
+    console.log('\nWithout a command, arguments are passed to `sync` ("My Article" --draft).');
+    console.log('Run `node publish-to-sanity.js <command> --help` for the options of a command.\n');
+    console.log('Options:');
+    describe(GLOBAL_OPTIONS);
+    console.log('\nExit codes:');
+    console.log('  0  success');
+    console.log('  1  a sync, API call or write failed');
+    console.log('  2  unknown command or option, missing argument');
+    console.log('  3  config or env file missing or invalid');
+    console.log('  4  no matching document, or no choice made');
+    console.log('  5  the document failed validation in publish mode');
+    console.log('\nErrors are printed with a code, e.g. "❌ Error [DOCUMENT_NOT_FOUND]: ..." (see README).');
+    console.log('\nExamples:');
+    console.log('  npm run publish -- "My Article"    (publish to production)');
+    console.log('  npm run bridge -- "My Article"     (save as draft)');
+    console.log('  npm run bridge -- sync "My Article" --refresh-images   (re-upload all images)');
+    console.log('  npm run bridge -- sync --all       (sync every changed document as draft)');
+    console.log('  npm run publish -- diff "My Article"   (preview changes without writing)');
+    console.log('  npm run publish -- status          (documents changed since the last sync)');
+    console.log('  npm run bridge -- watch            (keep drafts in sync while you write)');
+    console.log('  npm run publish -- sync --all --source=markdown --source-dir=./content   (sync local Markdown files)');
+    console.log('  npm run publish -- sync --all --destination=file --destination-dir=./out   (write an NDJSON bundle instead of Sanity)');
+    console.log('  npm run publish -- sync --all --json --quiet   (machine-readable output for CI)');
 }
 
-// ==============================
-// Sanity client configuration
-// ==============================
-const client = sanityClient.default({
-    projectId: process.env.SANITY_PROJECT_ID,
-    dataset: process.env.SANITY_DATASET,
-    token: process.env.SANITY_TOKEN,
-    apiVersion: '2024-01-01',
-    useCdn: false,
-});
-
-// Environment debug output
-console.log('=== Environment Check ===');
-console.log('Project ID:', process.env.SANITY_PROJECT_ID);
-console.log('Dataset:', process.env.SANITY_DATASET);
-console.log('Token prefix:', process.env.SANITY_TOKEN?.substring(0, 4));
-console.log('Token length:', process.env.SANITY_TOKEN?.length);
-console.log('Craft Token prefix:', process.env.CRAFT_TOKEN?.substring(0, 4));
-console.log('========================\n');
-
-const CRAFT_API_URL = process.env.CRAFT_API_URL;
+function cliError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
 
-// ==============================
-// Levenshtein & fuzzy matching
-// ==============================
-function levenshteinDistance(str1, str2) {
-    const s = (str1 || '').toLowerCase();
-    const t = (str2 || '').toLowerCase();
-    if (!s.length) return t.length;
-    if (!t.length) return s.length;
-
-    const arr = [];
-    for (let i = 0; i <= t.length; i++) {
-        arr[i] = [i];
-        for (let j = 1; j <= s.length; j++) {
-            arr[i][j] =
-                i === 0
-                    ? j
-                    : Math.min(
-                        arr[i - 1][j] + 1,
-                        arr[i][j - 1] + 1,
-                        arr[i - 1][j - 1] + (s[j - 1] === t[i - 1] ? 0 : 1),
-                    );
-        }
-    }
-    return arr[t.length][s.length];
+function usageError(message) {
+    return cliError('USAGE', message);
 }
 
-function findSimilarName(input, existingItems, threshold = 2) {
-    let bestMatch = null;
-    let bestDistance = Infinity;
+// → { command, values, query }. A first argument that is not a command
+// name is a title query for `sync`, so `"My Article" --draft` still works.
+function parseCommandLine(argv) {
+    const parseOptions = Object.fromEntries(
+        Object.entries(OPTIONS).map(([name, { type, short }]) => [name, short ? { type, short } : { type }]),
+    );
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: parseOptions, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw usageError(error.message);
+    }
 
-    for (const item of existingItems) {
-        const base = item.name || item.title;
+    const { values, positionals } = parsed;
+    const command = Object.hasOwn(COMMANDS, positionals[0] ?? '') ? positionals.shift() : null;
+    if (!command && positionals.length === 0 && !values.all) {
+        return { command: null, values, query: null };
+    }
 
-        if (!base || typeof base !== 'string') {
-            continue;
-        }
+    const name = command || 'sync';
+    const allowed = [...COMMANDS[name].options, ...GLOBAL_OPTIONS];
+    const invalid = Object.keys(values).filter((option) => !allowed.includes(option));
+    if (invalid.length > 0) {
+        throw usageError(`Option --${invalid[0]} is not valid for "${name}" (see ${name} --help)`);
+    }
+    if (positionals.length > 1) {
+        throw usageError(`Unexpected argument "${positionals[1]}" (quote titles with spaces)`);
+    }
 
-        const distance = levenshteinDistance(input, base);
-        if (distance < bestDistance && distance <= threshold) {
-            bestDistance = distance;
-            bestMatch = item;
-        }
+    const levels = ['quiet', 'verbose', 'debug'].filter((option) => values[option]);
+    if (levels.length > 1) {
+        throw usageError(`--${levels[0]} cannot be combined with --${levels[1]}`);
     }
 
-    return bestMatch ? { match: bestMatch, distance: bestDistance } : null;
+    return { command: name, values, query: positionals[0] || null };
 }
 
-// ==============================
-// Image upload helper
-// ==============================
-async function uploadImageFromUrl(imageUrl, filename = 'image.jpg') {
+function createCliLogger(values) {
+    const level = values.debug ? 'debug' : values.verbose ? 'verbose' : values.quiet ? 'warn' : 'info';
+    return createLogger({ level, json: Boolean(values.json) });
+}
+
+function loadEnv(envFile) {
+    const result = require('dotenv').config(envFile ? { path: envFile } : {});
+    if (envFile && result.error) {
+        throw cliError('ENV_NOT_FOUND', `Env file not found: ${path.resolve(envFile)}`);
+    }
+}
+
+// → { config, baseDir }. `baseDir` is the config file's directory, where
+// relative paths in it, .sync-state.json and .image-cache.json belong; with
+// the config shipped in this package it is the working directory, so
+// projects sharing an installed bridge do not share its state.
+function loadCliConfig(configPath, profile) {
+    let loaded;
+    try {
+        loaded = configPath
+            ? loadConfig({ baseDir: process.cwd(), path: configPath, profile })
+            : loadConfig({ baseDir: __dirname, profile });
+    } catch (error) {
+        error.message = `Failed to load configuration: ${error.message}`;
+        error.exitCode = EXIT_CODES.config;
+        throw error;
+    }
+    const name = path.basename(loaded.path);
+    logger.log(`✓ Using ${name === 'config.default.json' ? 'default' : 'custom'} configuration (${name})${profile ? `, profile "${profile}"` : ''}\n`);
+
+    // Profile values take precedence over .env. Tokens are only reported as
+    // set or not, and redacted from everything printed afterwards.
+    const { sanity, craft } = loaded.config;
+    const sanityTokenEnv = sanity.tokenEnv || 'SANITY_TOKEN';
+    const craftTokenEnv = craft.tokenEnv || 'CRAFT_TOKEN';
+    logger.addSecret(process.env[sanityTokenEnv]);
+    logger.addSecret(process.env[craftTokenEnv]);
+    logger.verbose('=== Environment Check ===');
+    logger.verbose('Project ID:', sanity.projectId || process.env.SANITY_PROJECT_ID);
+    logger.verbose('Dataset:', sanity.dataset || process.env.SANITY_DATASET);
+    logger.verbose(`Sanity token: ${process.env[sanityTokenEnv] ? 'set' : 'not set'} (${sanityTokenEnv})`);
+    logger.verbose('Craft API URL:', craft.apiUrl || process.env.CRAFT_API_URL);
+    logger.verbose(`Craft token: ${process.env[craftTokenEnv] ? 'set' : 'not set'} (${craftTokenEnv})`);
+    logger.verbose('========================\n');
+
+    const bundled = path.resolve(__dirname, 'config.default.json');
+    return {
+        config: loaded.config,
+        baseDir: path.resolve(loaded.path) === bundled ? process.cwd() : path.dirname(path.resolve(loaded.path)),
+    };
+}
+
+async function main() {
+    let exitCode;
+    let command = null;
     try {
-        console.log(`    Downloading image from: ${imageUrl}`);
-        const response = await fetch(imageUrl);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch image: ${response.statusText}`);
+        const parsed = parseCommandLine(process.argv.slice(2));
+        const { values, query } = parsed;
+        command = parsed.command;
+        if (values.help || !command) {
+            printHelp(command);
+            process.exit(values.help ? EXIT_CODES.ok : EXIT_CODES.usage);
         }
-        const buffer = await response.buffer();
-        console.log(`    Uploading to Sanity... (${buffer.length} bytes)`);
 
-        const imageAsset = await client.assets.upload('image', buffer, {
-            filename: filename,
-            contentType: response.headers.get('content-type') || 'image/jpeg',
+        logger = createCliLogger(values);
+        loadEnv(values['env-file']);
+        const { config, baseDir } = loadCliConfig(values.config, values.profile);
+        const bridge = createBridge({
+            config,
+            baseDir,
+            source: {
+                ...(values.source ? { type: values.source } : {}),
+                // Directories given on the command line are relative to the working directory
+                ...(values['source-dir'] ? { dir: path.resolve(values['source-dir']) } : {}),
+            },
+            destination: {
+                ...(values.destination ? { type: values.destination } : {}),
+                ...(values['destination-dir'] ? { dir: path.resolve(values['destination-dir']) } : {}),
+            },
+            logger,
+            // Prompts would mix with the JSON events on stdout
+            interactive: !values.json,
         });
+        logger.log(`📂 Source: ${bridge.getSource().name}`);
+        logger.log(`📦 Destination: ${bridge.getDestination().name}\n`);
 
-        console.log(`    ✓ Image uploaded: ${imageAsset._id}`);
-        return imageAsset._id;
+        const { exitCode: commandExitCode, ...result } = await COMMANDS[command].run(bridge, { ...values, query });
+        exitCode = commandExitCode;
+        logger.event('result', { command, ok: exitCode === EXIT_CODES.ok, exitCode, ...result });
     } catch (error) {
-        console.error(`    ✗ Image upload failed:`, error.message);
-        return null;
+        const code = getErrorCode(error);
+        exitCode = error.exitCode || ERROR_EXIT_CODES[code] || EXIT_CODES.failed;
+        logger.error(`\n❌ Error [${code}]: ${error.message}`);
+        logger.debug(error.stack);
+        logger.event('result', {
+            command,
+            ok: false,
+            exitCode,
+            error: { code, message: error.message, ...(error.errors ? { details: error.errors } : {}) },
+        });
     }
+    process.exit(exitCode);
 }
 
 // ==============================
-// CLI entrypoint
+// Document selection
 // ==============================
-async function main() {
-    const args = process.argv.slice(2);
-    const isDraft = args.includes('--draft');
-    const searchQuery = args.find((arg) => !arg.startsWith('--'));
-
-    if (!searchQuery) {
-        console.error('Error: Document title is required');
-        console.log('Usage: node publish-to-sanity.js "Document Title" [--draft]');
-        console.log('');
-        console.log('Examples:');
-        console.log('  npm run publish -- "My Article"    (publish to production)');
-        console.log('  npm run bridge -- "My Article"     (save as draft)');
-        process.exit(1);
-    }
-
-    if (isDraft) {
-        console.log('📝 Draft mode - saving to drafts.<id> (will not be public)\n');
-    } else {
-        console.log('✅ Publish mode - saving directly to published document\n');
+// Finds the document for `--id` or a title query. Several matches are
+// listed to choose from; without a terminal the command fails instead.
+async function selectDocument(bridge, { id, query }) {
+    if (!id && !query) {
+        throw usageError('A document title or --id is required');
     }
 
-    console.log('Starting publication process...\n');
-
-    try {
-        // 1. Fetch document list from Craft
-        console.log('[1/6] Fetching document list...');
-        const documents = await fetchDocumentList();
-
-        const targetDoc = documents.find(
-            (doc) =>
-                doc.title &&
-                doc.title.toLowerCase().includes(searchQuery.toLowerCase()),
+    const documents = await bridge.listDocuments();
+    const matches = id
+        ? documents.filter((doc) => doc.id === id)
+        : documents.filter(
+            (doc) => doc.title && doc.title.toLowerCase().includes(query.toLowerCase()),
         );
 
-        if (!targetDoc) {
-            console.log('\nAvailable documents:');
-            documents.forEach((doc, i) => {
-                console.log(`  ${i}: ${doc.title || 'Untitled'}`);
-            });
-            throw new Error(
-                `Document with title containing "${searchQuery}" not found`,
-            );
-        }
-
-        const documentId = targetDoc.id;
-        console.log(
-            `  Target document: ${targetDoc.title} (ID: ${documentId})\n`,
-        );
-
-        // 2. Fetch document blocks from Craft
-        console.log('[2/6] Fetching document blocks...');
-        const craftBlocks = await fetchCraftBlocks(documentId);
-        const pageBlock = craftBlocks[0];
-        console.log(
-            `  Document fetched: ${pageBlock.markdown.substring(0, 50)}...\n`,
+    if (matches.length === 0) {
+        logger.log('\nAvailable documents:');
+        documents.forEach((doc, i) => {
+            logger.log(`  ${i}: ${doc.title || 'Untitled'} (ID: ${doc.id})`);
+        });
+        throw cliError(
+            'DOCUMENT_NOT_FOUND',
+            id ? `Document with ID "${id}" not found` : `Document with title containing "${query}" not found`,
         );
+    }
 
-        // 3. Extract metadata from Craft blocks
-        console.log('[3/6] Extracting metadata...');
-        const metadata = extractMetadata(pageBlock);
-        console.log('  Metadata:', metadata);
-        console.log('');
-
-        // 4. Resolve or create author and categories
-        console.log('[4/6] Processing author and category...');
-        const authorRef = await getAuthorByName(metadata.author);
-        const categoryRefs = await getCategoriesByTitle(metadata.category);
-        console.log('  Author:', authorRef);
-        console.log('  Categories:', categoryRefs);
-        console.log('');
-
-        // 5. Convert Craft content to Portable Text and upload images
-        console.log('[5/6] Converting content...');
-        const mainImageUrl = extractMainImage(pageBlock.content);
-
-        let mainImageRef = null;
-        if (mainImageUrl) {
-            console.log('  Uploading main image...');
-            const mainImageAssetId = await uploadImageFromUrl(
-                mainImageUrl,
-                'main-image.jpg',
-            );
-            if (mainImageAssetId) {
-                mainImageRef = {
-                    _type: 'image',
-                    asset: {
-                        _type: 'reference',
-                        _ref: mainImageAssetId,
-                    },
-                };
-            }
-        }
+    const targetDoc = matches.length === 1 ? matches[0] : await chooseDocument(matches, query);
+    logger.log(`  Target document: ${targetDoc.title} (ID: ${targetDoc.id})\n`);
+    return targetDoc;
+}
 
-        const body = await convertToPortableText(pageBlock.content);
-        console.log(`  Content converted: ${body.length} blocks\n`);
-
-        // 6. Create or update post in Sanity
-        console.log('[6/6] Creating or updating post in Sanity...');
-        const post = await createOrUpdateSanityPost(
-            {
-                title: metadata.title,
-                slug: metadata.slug,
-                publishedAt: metadata.publishedAt,
-                author: authorRef,
-                categories: categoryRefs,
-                body: body,
-                mainImage: mainImageRef,
-                excerpt: metadata.excerpt,
-                featured: metadata.featured,
-                tags: metadata.tags,
-                seoTitle: metadata.seoTitle,
-                seoDescription: metadata.seoDescription,
-            },
-            isDraft,
-        );
+async function chooseDocument(matches, query) {
+    logger.log(`\n${matches.length} documents match "${query}":`);
+    matches.forEach((doc, i) => {
+        logger.log(`  ${i + 1}: ${doc.title} (ID: ${doc.id})`);
+    });
 
-        console.log('\n✓ Success!');
-        console.log('  ID:', post._id);
-        console.log('  Title:', post.title);
-        console.log('  Slug:', post.slug.current);
+    const error = cliError('AMBIGUOUS_DOCUMENT', `Several documents match "${query}" - choose one, or use --id`);
+    if (!canAsk()) throw error;
 
-        if (post._id.startsWith('drafts.')) {
-            console.log('  🟡 Saved as Draft (ID starts with drafts.)');
-        } else {
-            console.log('  🟢 Published (ID does not have drafts. prefix)');
-        }
+    const answer = await ask(`Choose a document [1-${matches.length}]`);
+    const choice = matches[Number(answer) - 1];
+    if (!/^\d+$/.test(answer) || !choice) throw error;
+    return choice;
+}
 
-    } catch (error) {
-        console.error('\n❌ Error:', error.message);
-        console.error(error);
-        process.exit(1);
-    }
+// No prompts without a terminal, or in JSON mode
+function canAsk() {
+    return process.stdin.isTTY && process.stdout.isTTY && !logger.json;
 }
 
-// ==============================
-// Craft API helpers
-// ==============================
-async function fetchDocumentList() {
-    const url = `${CRAFT_API_URL}/documents`;
-    const response = await fetch(url, {
-        headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${process.env.CRAFT_TOKEN}` // Token認証を追加
-        },
-    });
-    if (!response.ok) {
-        throw new Error(`Failed to fetch documents: ${response.statusText}`);
-    }
-    const data = await response.json();
-    if (Array.isArray(data)) {
-        return data;
-    } else if (data.items && Array.isArray(data.items)) {
-        return data.items;
-    } else {
-        throw new Error('Unexpected response format from Craft API');
-    }
+async function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise((resolve) => rl.question(`  ? ${question} `, resolve));
+    rl.close();
+    return answer.trim();
 }
 
-async function fetchCraftBlocks(documentId) {
-    const url = `${CRAFT_API_URL}/blocks?id=${documentId}`;
-    const response = await fetch(url, {
-        headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${process.env.CRAFT_TOKEN}` // Token認証を追加
-        },
-    });
-    if (!response.ok) {
-        throw new Error(`Failed to fetch document: ${response.statusText}`);
+// Destructive commands ask first, unless --yes or --dry-run is given.
+async function confirm(question, { yes = false, dryRun = false } = {}) {
+    if (yes || dryRun) return;
+    if (!canAsk()) {
+        throw usageError(`${question} Re-run with --yes to confirm.`);
+    }
+    if (!/^y(es)?$/i.test(await ask(`${question} [y/N]`))) {
+        throw cliError('CANCELLED', 'Cancelled');
     }
-    const data = await response.json();
-    return Array.isArray(data) ? data : [data];
 }
 
 // ==============================
-// Metadata extraction
+// Commands
 // ==============================
-function extractMetadata(pageBlock) {
-    const markers = config.craft.metadata;
-    const content = pageBlock.content;
-
-    const metadata = {
-        title: pageBlock.markdown || 'Untitled',
-        slug: 'untitled',
-        author: 'Unknown',
-        category: ['Uncategorized'],
-        publishedAt: new Date().toISOString(),
-    };
+async function runList(bridge, { draft }) {
+    const statuses = await bridge.getSyncStatus({ isDraft: draft, quick: true });
+    printTable(
+        ['Document', 'ID', 'Folder', 'Status', 'Target', 'Sanity ID', 'Synced'],
+        statuses.map((status) => [
+            status.title,
+            status.id,
+            status.folder || '',
+            status.status,
+            status.target || '',
+            status.postId || '',
+            status.syncedAt ? `${status.syncedAt.substring(0, 16).replace('T', ' ')} (${status.mode})` : '',
+        ]),
+    );
+    logger.print(`\n${statuses.length} document(s)`);
+    return { exitCode: EXIT_CODES.ok, documents: statuses };
+}
 
-    for (const block of content) {
-        if (block.type === 'text' && block.markdown) {
-            const text = block.markdown;
-
-            for (const [key, marker] of Object.entries(markers)) {
-                if (!text.startsWith(marker)) continue;
-
-                let value = text.replace(marker, '').trim();
-                let targetKey = key;
-
-                if (key === 'category' || key === 'tags') {
-                    value = value.split(',').map((c) => c.trim());
-                } else if (key === 'publishedDate') {
-                    const match = value.match(/(\d{4}-\d{2}-\d{2})/);
-                    if (match) {
-                        value = new Date(match[1]).toISOString();
-                    }
-                    targetKey = 'publishedAt';
-                } else if (key === 'featured') {
-                    value = value.toLowerCase() === 'true';
-                }
-
-                metadata[targetKey] = value;
-            }
-        }
+async function runStatus(bridge, { draft }) {
+    logger.log('Comparing documents with the last sync...');
+    const statuses = await bridge.getSyncStatus({ isDraft: draft });
+    const outdated = statuses.filter((status) => status.status !== 'unchanged');
+
+    if (outdated.length > 0) {
+        logger.print('');
+        printTable(
+            ['Status', 'Document', 'ID', 'Target', 'Last synced'],
+            outdated.map((status) => [
+                status.status,
+                status.title,
+                status.id,
+                status.target || '',
+                status.syncedAt ? `${status.syncedAt.substring(0, 16).replace('T', ' ')} (${status.mode})` : 'never',
+            ]),
+        );
     }
 
-    return metadata;
-}
-
-// ==============================
-// Main image extraction
-// ==============================
-function extractMainImage(blocks) {
-    for (const block of blocks) {
-        if (block.type === 'image' && block.url) {
-            return block.url;
-        }
+    const counts = Object.fromEntries(
+        ['new', 'changed', 'unknown', 'unchanged'].map((status) => [status, statuses.filter((entry) => entry.status === status).length]),
+    );
+    logger.print(`\n${Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(', ')}`);
+    if (outdated.length > 0) {
+        logger.print(`Run \`sync --all${draft ? ' --draft' : ''}\` to sync ${outdated.length} document(s).`);
+    } else {
+        logger.print('✓ Everything is up to date');
     }
-    return null;
+    return { exitCode: EXIT_CODES.ok, counts, documents: statuses };
 }
 
-// ==============================
-// Author & Category resolution
-// ==============================
-async function getAuthorByName(name) {
-    const authorConfig = config.sanity.author;
-    const authorType = authorConfig.type;
-    const nameField = authorConfig.fields.name;
-    const slugField = authorConfig.fields.slug;
+async function runSync(bridge, args) {
+    const isDraft = Boolean(args.draft);
+    const dryRun = Boolean(args['dry-run']);
+    const options = {
+        isDraft,
+        dryRun,
+        cleanupAssets: Boolean(args['cleanup-assets']),
+        refreshImages: Boolean(args['refresh-images']),
+    };
 
-    console.log(`  Checking author: ${name}...`);
+    if (args.all && (args.query || args.id)) {
+        throw usageError('--all cannot be combined with a title or --id');
+    }
+    if (args.force && !args.all) {
+        throw usageError('--force only applies to --all');
+    }
 
-    const allAuthors = await client.fetch(
-        `*[_type == $type]{ _id, ${nameField}, ${slugField} }`,
-        { type: authorType },
-    );
-    console.log('  Available authors:', allAuthors);
+    if (isDraft) {
+        logger.log('📝 Draft mode - saving to drafts.<id> (will not be public)\n');
+    } else {
+        logger.log('✅ Publish mode - saving directly to published document\n');
+    }
 
-    // Exact match
-    const existing = await client.fetch(
-        `*[_type == $type && ${nameField} == $name][0]`,
-        { type: authorType, name },
-    );
+    if (dryRun) {
+        logger.log('🔍 Dry run - nothing will be written to Sanity\n');
+    }
 
-    if (existing) {
-        console.log(
-            `  ✓ Author found: ${existing[nameField]} (ID: ${existing._id})`,
-        );
-        return {
-            _type: 'reference',
-            _ref: existing._id,
-        };
+    if (options.refreshImages) {
+        logger.log('🔄 Refreshing images - cached assets will be re-uploaded\n');
     }
 
-    // Fuzzy match
-    const similar = findSimilarName(
-        name,
-        allAuthors.map((a) => ({ name: a[nameField], ...a })),
-    );
-    if (similar) {
-        console.log(
-            `  ⚠ Possible typo detected! Did you mean "${similar.match.name}"? (distance: ${similar.distance})`,
-        );
-        console.log(`  → Using existing author: ${similar.match.name}`);
+    if (args.all) {
+        const results = await bridge.syncAll({ ...options, force: Boolean(args.force) });
+        const counts = printSyncSummary(results, { dryRun });
         return {
-            _type: 'reference',
-            _ref: similar.match._id,
+            exitCode: results.some((result) => result.status === 'failed')
+                ? EXIT_CODES.failed
+                : EXIT_CODES.ok,
+            dryRun,
+            counts,
+            results,
         };
     }
 
-    // Create new author
-    console.log(`  → Author not found. Creating new author: ${name}`);
-    const slug = name
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-|-$/g, '');
-
-    const newAuthor = await client.create({
-        _type: authorType,
-        [nameField]: name,
-        [slugField]: {
-            _type: 'slug',
-            current: slug,
-        },
-    });
-
-    console.log(
-        `  ✓ New author created: ${newAuthor[nameField]} (ID: ${newAuthor._id})`,
-    );
-    return {
-        _type: 'reference',
-        _ref: newAuthor._id,
+    logger.log('Starting publication process...\n');
+
+    // 1. Fetch document list from Craft
+    logger.log('[1/6] Fetching document list...');
+    const targetDoc = await selectDocument(bridge, args);
+
+    const { post, created, previousSlug, target, slug, references, assets, warnings } =
+        await bridge.syncDocument(targetDoc, options);
+    const result = {
+        dryRun,
+        id: targetDoc.id,
+        title: targetDoc.title,
+        postId: post._id,
+        status: created ? 'created' : 'updated',
+        published: !isDraft,
+        target,
+        slug,
+        previousSlug: previousSlug || null,
+        references,
+        assets,
+        warnings,
     };
-}
-
-async function getCategoriesByTitle(titles) {
-    const categoryConfig = config.sanity.category;
-    const categoryType = categoryConfig.type;
-    const titleField = categoryConfig.fields.title;
-    const slugField = categoryConfig.fields.slug;
-    const descriptionField = categoryConfig.fields.description;
-
-    const refs = [];
-    console.log('  Available Categories:');
 
-    const allCategories = await client.fetch(
-        `*[_type == $type]{ _id, ${titleField}, ${slugField} }`,
-        { type: categoryType },
-    );
-    console.log('  ', JSON.stringify(allCategories, null, 2));
-    console.log('');
-
-    for (const title of titles) {
-        if (!title) continue;
-        console.log(`  Checking category: ${title}...`);
-
-        // Exact match
-        const existing = await client.fetch(
-            `*[_type == $type && ${titleField} == $title][0]`,
-            { type: categoryType, title },
-        );
+    if (dryRun) {
+        logger.print('\n✓ Dry run complete - nothing was written to Sanity');
+        return { exitCode: EXIT_CODES.ok, ...result };
+    }
 
-        if (existing) {
-            console.log(
-                `  ✓ Category found: ${existing[titleField]} (ID: ${existing._id})`,
-            );
-            refs.push({
-                _type: 'reference',
-                _ref: existing._id,
-                _key: `cat-${Math.random().toString(36).substr(2, 9)}`,
-            });
-            continue;
-        }
+    logger.print('\n✓ Success!');
+    logger.print('  ID:', post._id);
+    logger.print('  Target:', `${target} (${post._type})`);
+    logger.print('  Title:', targetDoc.title);
+    logger.print('  Slug:', slug);
+    if (previousSlug) {
+        logger.print(`  Previous slug: ${previousSlug}`);
+    }
 
-        // Fuzzy match
-        const similar = findSimilarName(
-            title,
-            allCategories.map((c) => ({ title: c[titleField], ...c })),
-        );
-        if (similar) {
-            console.log(
-                `  ⚠ Possible typo detected! Did you mean "${similar.match.title}"? (distance: ${similar.distance})`,
-            );
-            console.log(`  → Using existing category: ${similar.match.title}`);
-            refs.push({
-                _type: 'reference',
-                _ref: similar.match._id,
-                _key: `cat-${Math.random().toString(36).substr(2, 9)}`,
-            });
-            continue;
-        }
+    if (post._id.startsWith('drafts.')) {
+        logger.print('  🟡 Saved as Draft (ID starts with drafts.)');
+    } else {
+        logger.print('  🟢 Published (ID does not have drafts. prefix)');
+    }
+    return { exitCode: EXIT_CODES.ok, ...result };
+}
 
-        // Create new category
-        console.log(`  → Category not found. Creating new category: ${title}`);
-        const slug = title
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')
-            .replace(/^-|-$/g, '');
-
-        const newCategoryData = {
-            _type: categoryType,
-            [titleField]: title,
-            [slugField]: {
-                _type: 'slug',
-                current: slug,
-            },
-        };
+async function runUnpublish(bridge, args) {
+    const dryRun = Boolean(args['dry-run']);
+    logger.log('Fetching document list...');
+    const targetDoc = await selectDocument(bridge, args);
+    await confirm(`Unpublish "${targetDoc.title}"?`, { yes: args.yes, dryRun });
 
-        if (descriptionField) {
-            newCategoryData[descriptionField] = `Auto-created category for ${title}`;
-        }
+    const { unpublished, draftId } = await bridge.unpublishDocument(targetDoc, { dryRun });
+    if (!dryRun) {
+        logger.print(`\n✓ ${unpublished} is no longer public. Edit or publish it again as ${draftId}.`);
+    }
+    return { exitCode: EXIT_CODES.ok, dryRun, id: targetDoc.id, unpublished, draftId };
+}
 
-        const newCategory = await client.create(newCategoryData);
+async function runDelete(bridge, args) {
+    const dryRun = Boolean(args['dry-run']);
+    const draftOnly = Boolean(args.draft);
+    logger.log('Fetching document list...');
+    const targetDoc = await selectDocument(bridge, args);
+    await confirm(
+        `Delete ${draftOnly ? 'the draft of ' : ''}"${targetDoc.title}"${draftOnly ? '' : ' and its draft'}?`,
+        { yes: args.yes, dryRun },
+    );
 
-        console.log(
-            `  ✓ New category created: ${newCategory[titleField]} (ID: ${newCategory._id})`,
-        );
-        refs.push({
-            _type: 'reference',
-            _ref: newCategory._id,
-            _key: `cat-${Math.random().toString(36).substr(2, 9)}`,
-        });
+    const { deleted } = await bridge.deleteDocument(targetDoc, { draftOnly, dryRun });
+    if (!dryRun) {
+        logger.print(`\n✓ Deleted ${deleted.length} document(s)`);
     }
+    return { exitCode: EXIT_CODES.ok, dryRun, id: targetDoc.id, deleted };
+}
 
-    return refs;
+function parseSeconds(value, option, fallback) {
+    if (value === undefined) return fallback * 1000;
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw usageError(`--${option} must be a positive number of seconds, got "${value}"`);
+    }
+    return seconds * 1000;
 }
 
-// ==============================
-// Craft → Portable Text
-// ==============================
-async function convertToPortableText(blocks) {
-    const portableBlocks = [];
-    let skipUntilLine = false;
-    const markers = config.craft.metadata;
-
-    for (const block of blocks) {
-        if (block.markdown) {
-            let isMetadata = false;
-            for (const marker of Object.values(markers)) {
-                if (block.markdown.startsWith(marker)) {
-                    isMetadata = true;
-                    break;
-                }
-            }
-            if (isMetadata) {
-                skipUntilLine = true;
-                continue;
-            }
-        }
+// Runs until Ctrl+C (or SIGTERM). The sync in progress is finished first;
+// a second Ctrl+C quits right away.
+async function runWatch(bridge, args) {
+    const interval = parseSeconds(args.interval, 'interval', 30);
+    const debounce = parseSeconds(args.debounce, 'debounce', 10);
+
+    let ids = null;
+    let watched = 'every document';
+    if (args.query || args.id) {
+        logger.log('Fetching document list...');
+        const targetDoc = await selectDocument(bridge, args);
+        ids = [targetDoc.id];
+        watched = `"${targetDoc.title}"`;
+    }
 
-        if (block.type === 'line') {
-            skipUntilLine = false;
-            continue;
-        }
+    logger.log(`👀 Watching ${watched} - checking every ${interval / 1000}s, syncing ${debounce / 1000}s after the last change`);
+    logger.log('📝 Changes are saved to drafts.<id> and never published. Press Ctrl+C to stop.\n');
 
-        if (skipUntilLine) continue;
-        if (block.type === 'text' && !block.markdown.trim()) continue;
-
-        if (block.type === 'text') {
-            const style =
-                block.textStyle === 'h2'
-                    ? 'h2'
-                    : block.textStyle === 'h3'
-                        ? 'h3'
-                        : 'normal';
-
-            let cleanText = block.markdown
-                .replace(/^#{1,6}\s+/, '')
-                .replace(/\*\*/g, '')
-                .replace(/\*/g, '');
-
-            portableBlocks.push({
-                _type: 'block',
-                _key: `block-${Math.random().toString(36).substr(2, 9)}`,
-                style: style,
-                children: [
-                    {
-                        _type: 'span',
-                        text: cleanText,
-                        marks: [],
-                    },
-                ],
-            });
-        } else if (block.type === 'image' && block.url) {
-            console.log(`  Uploading inline image...`);
-            const imageAssetId = await uploadImageFromUrl(
-                block.url,
-                `inline-${Date.now()}.jpg`,
-            );
-            if (imageAssetId) {
-                portableBlocks.push({
-                    _type: 'image',
-                    _key: `image-${Math.random().toString(36).substr(2, 9)}`,
-                    asset: {
-                        _type: 'reference',
-                        _ref: imageAssetId,
-                    },
-                });
-            }
-        }
-    }
+    const controller = new AbortController();
+    const stop = () => {
+        if (controller.signal.aborted) process.exit(EXIT_CODES.failed);
+        logger.log('\nStopping after the current sync... (Ctrl+C again to quit now)');
+        controller.abort();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
 
-    return portableBlocks;
+    try {
+        const { synced, failed } = await bridge.watch({
+            interval,
+            debounce,
+            ids,
+            catchUp: Boolean(args['catch-up']),
+            signal: controller.signal,
+        });
+        logger.print(`\n✓ Stopped. Drafts synced: ${synced}, failed syncs: ${failed}`);
+        return { exitCode: EXIT_CODES.ok, synced, failed };
+    } finally {
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+    }
 }
 
 // ==============================
-// Create / update Sanity post (Drafts aware)
+// Output
 // ==============================
-async function createOrUpdateSanityPost(data, isDraft = false) {
-    const postConfig = config.sanity.post;
-    const postType = postConfig.type;
-    const fields = postConfig.fields;
-
-    // 1. まず「公開されているID」を探す (slugで検索)
-    //    ※ draftドキュメントは検索しない
-    const published = await client.fetch(
-        `*[_type == $type && !(_id in path("drafts.**")) && ${fields.slug}.current == $slug][0]{ _id, ${fields.title} }`,
-        { type: postType, slug: data.slug },
+// Tables are left out in JSON mode; the result event carries the rows.
+function printTable(headers, rows) {
+    const widths = headers.map((header, i) =>
+        Math.max(header.length, ...rows.map((row) => row[i].length)),
     );
+    const formatRow = (row) =>
+        row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
 
-    // 2. Sanity用データオブジェクトを作成
-    const postData = { _type: postType };
-
-    for (const [dataKey, sanityField] of Object.entries(fields)) {
-        if (!sanityField || data[dataKey] === undefined || data[dataKey] === null) {
-            continue;
-        }
-
-        if (sanityField.includes('.')) {
-            const parts = sanityField.split('.');
-            let current = postData;
-            for (let i = 0; i < parts.length - 1; i++) {
-                if (!current[parts[i]]) {
-                    current[parts[i]] = {};
-                }
-                current = current[parts[i]];
-            }
-            current[parts[parts.length - 1]] = data[dataKey];
-        } else {
-            if (dataKey === 'slug') {
-                postData[sanityField] = {
-                    _type: 'slug',
-                    current: data[dataKey],
-                };
-            } else {
-                postData[sanityField] = data[dataKey];
-            }
-        }
-    }
-
-    if (isDraft) {
-        // =================================
-        // DRAFT MODE: drafts.<id> に書き込む
-        // =================================
-        let draftId;
-        if (published) {
-            // 既に公開済み記事がある場合 → そのIDのdraftを作る (drafts.<publishedId>)
-            draftId = `drafts.${published._id}`;
-            console.log(`  → Existing published post found (ID: ${published._id})`);
-            console.log(`  → Creating/Updating DRAFT version (ID: ${draftId})...`);
-        } else {
-            // まだ公開記事がない場合 → UUIDを生成して draft を作る
-            const existingDraft = await client.fetch(
-                `*[_type == $type && (_id in path("drafts.**")) && ${fields.slug}.current == $slug][0]{ _id }`,
-                { type: postType, slug: data.slug },
-            );
-
-            if (existingDraft) {
-                draftId = existingDraft._id;
-                console.log(`  → Existing draft found (ID: ${draftId})...`);
-            } else {
-                // 新規ドラフト
-                draftId = `drafts.${crypto.randomUUID()}`;
-                console.log(`  → Creating NEW draft (ID: ${draftId})...`);
-            }
-        }
+    logger.print(formatRow(headers));
+    logger.print(formatRow(widths.map((width) => '-'.repeat(width))));
+    rows.forEach((row) => logger.print(formatRow(row)));
+}
 
-        // IDを指定して createOrReplace する (確実にそのIDで書き込むため)
-        const draftDoc = { ...postData, _id: draftId };
-        return await client.createOrReplace(draftDoc);
+// → { created, updated, skipped, failed } counts
+function printSyncSummary(results, { dryRun = false } = {}) {
+    logger.print(`\n=== Sync Summary${dryRun ? ' (dry run)' : ''} ===`);
+    printTable(
+        ['Status', 'Document', 'Target', 'Sanity ID / Error'],
+        results.map((result) => [
+            result.status,
+            result.title,
+            result.target || '',
+            result.postId
+                ? `${result.postId}${result.previousSlug ? ` (slug was "${result.previousSlug}")` : ''}`
+                // Details were printed with the failure
+                : result.error ? `[${result.code}] ${result.error.split('\n')[0]}` : '',
+        ]),
+    );
 
-    } else {
-        // =================================
-        // PUBLISH MODE: 公開IDに書き込む
-        // =================================
-        if (published) {
-            console.log(`  → Existing published post found: "${published[fields.title]}" (ID: ${published._id})`);
-            console.log(`  → Updating published post...`);
-            return await client.patch(published._id).set(postData).commit();
-        } else {
-            console.log(`  → Creating NEW published post...`);
-            // publishedAt がない場合は現在時刻を入れる（お好みで）
-            if (fields.publishedAt && !postData[fields.publishedAt]) {
-                postData[fields.publishedAt] = new Date().toISOString();
-            }
-            return await client.create(postData);
-        }
-    }
+    const counts = Object.fromEntries(
+        ['created', 'updated', 'skipped', 'failed'].map((status) => [
+            status,
+            results.filter((result) => result.status === status).length,
+        ]),
+    );
+    logger.print(`\n${Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(', ')}`);
+    return counts;
 }
 
-main();
+if (require.main === module) main();
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../lib');
+const { createWorkspace } = require('./helpers');
+
+const withTimeZone = (timezone) => ({
+    configure: (config) => {
+        config.craft.metadata.publishedDate.timezone = timezone;
+    },
+});
+
+// ==============================
+// Metadata time zones
+// ==============================
+test('an unknown metadata time zone is an INVALID_CONFIG error at load time', (t) => {
+    const workspace = createWorkspace({}, withTimeZone('Asia/Tokio'));
+    t.after(workspace.cleanup);
+
+    assert.throws(() => loadConfig({ baseDir: workspace.dir }), (error) => {
+        assert.strictEqual(error.code, 'INVALID_CONFIG');
+        assert.deepStrictEqual(error.errors.map((entry) => entry.path), ['craft.metadata.publishedDate.timezone']);
+        assert.match(error.message, /craft\.metadata\.publishedDate\.timezone: "Asia\/Tokio" is not a known IANA time zone/);
+        return true;
+    });
+    assert.throws(() => workspace.bridge(), { code: 'INVALID_CONFIG' });
+});
+
+test('a known metadata time zone is used to read dates', (t) => {
+    const workspace = createWorkspace({}, withTimeZone('Asia/Tokyo'));
+    t.after(workspace.cleanup);
+
+    const metadata = workspace.bridge().extractMetadata({
+        type: 'page',
+        markdown: 'Launch',
+        content: [{ type: 'text', markdown: 'Published Date: 2025-11-30 09:00' }],
+    });
+
+    assert.strictEqual(metadata.publishedAt, '2025-11-30T00:00:00.000Z');
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDestination } = require('../lib');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'craft-sanity-bridge-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const fileDestination = (dir, options = {}) =>
+    createDestination({ type: 'file', dir: 'out', ...options }, { baseDir: dir });
+
+const withoutUpdatedAt = ({ _updatedAt, ...document }) => document;
+
+// ==============================
+// File destination
+// ==============================
+test('transactions create, patch and delete documents in data.ndjson', async (t) => {
+    const dir = tempDir(t);
+    const destination = fileDestination(dir);
+
+    await destination.transaction()
+        .create({ _id: 'b', _type: 'post', title: 'B' })
+        .create({ _id: 'drafts.a', _type: 'post', title: 'A' })
+        .commit();
+    await destination.transaction()
+        .patch('b', { set: { title: 'B2' } })
+        .delete('drafts.a')
+        .commit();
+
+    const lines = fs.readFileSync(path.join(dir, 'out', 'data.ndjson'), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(lines.map((line) => withoutUpdatedAt(JSON.parse(line))), [{ _id: 'b', _type: 'post', title: 'B2' }]);
+});
+
+test('documents written earlier are found again by a new destination', async (t) => {
+    const dir = tempDir(t);
+    await fileDestination(dir).transaction()
+        .create({ _id: 'a', _type: 'post', slug: { current: 'hello' } })
+        .create({ _id: 'drafts.b', _type: 'post', slug: { current: 'hello' } })
+        .commit();
+
+    const destination = fileDestination(dir);
+
+    assert.strictEqual((await destination.getDocument('a'))._type, 'post');
+    const published = await destination.findDocuments({ type: 'post', where: { 'slug.current': 'hello' } });
+    const drafts = await destination.findDocuments({ type: 'post', drafts: true });
+    assert.deepStrictEqual(published.map((document) => document._id), ['a']);
+    assert.deepStrictEqual(drafts.map((document) => document._id), ['drafts.b']);
+});
+
+test('a failing mutation leaves the transaction unwritten', async (t) => {
+    const dir = tempDir(t);
+    const destination = fileDestination(dir);
+
+    await assert.rejects(
+        destination.transaction()
+            .create({ _id: 'a', _type: 'post' })
+            .patch('missing', { set: { title: 'X' } })
+            .commit(),
+        /Document missing not found/,
+    );
+
+    assert.strictEqual(await destination.getDocument('a'), null);
+    assert.ok(!fs.existsSync(path.join(dir, 'out', 'data.ndjson')));
+});
+
+test('the json format writes one file per document and removes deleted ones', async (t) => {
+    const dir = tempDir(t);
+    const destination = fileDestination(dir, { format: 'json' });
+
+    await destination.transaction().create({ _id: 'a', _type: 'post' }).create({ _id: 'b', _type: 'post' }).commit();
+    await destination.transaction().delete('a').commit();
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'out', 'documents')), ['b.json']);
+    assert.ok(await fileDestination(dir, { format: 'json' }).getDocument('b'));
+});
+
+test('uploaded images are stored once and bundled by file in data.ndjson', async (t) => {
+    const dir = tempDir(t);
+    const destination = fileDestination(dir);
+    const buffer = Buffer.from('not really a png');
+
+    const assetId = await destination.uploadAsset(buffer, { filename: 'pic.png', contentType: 'image/png' });
+    assert.match(assetId, /^image-[0-9a-f]{40}-png$/);
+    assert.strictEqual(await destination.findAssetBySha1(assetId.split('-')[1]), assetId);
+
+    const image = { _type: 'image', asset: { _type: 'reference', _ref: assetId } };
+    await destination.transaction().create({ _id: 'a', _type: 'post', mainImage: image }).commit();
+
+    const [line] = fs.readFileSync(path.join(dir, 'out', 'data.ndjson'), 'utf8').trim().split('\n');
+    assert.match(JSON.parse(line).mainImage._sanityAsset, /^image@file:\/\/\.\/images\/[0-9a-f]{40}\.png$/);
+    assert.deepStrictEqual((await fileDestination(dir).getDocument('a')).mainImage, image);
+});
+
+// ==============================
+// Destination configuration
+// ==============================
+test('bad destination settings are INVALID_CONFIG errors', (t) => {
+    const dir = tempDir(t);
+
+    assert.throws(() => createDestination({ type: 'file' }, { baseDir: dir }), { code: 'INVALID_CONFIG' });
+    assert.throws(() => fileDestination(dir, { format: 'csv' }), { code: 'INVALID_CONFIG' });
+    assert.throws(() => createDestination({ type: 'ftp' }, { baseDir: dir }), { code: 'INVALID_CONFIG' });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBridge } = require('../lib');
+
+const DEFAULT_CONFIG = require('../config.default.json');
+
+// ==============================
+// Workspaces
+// ==============================
+// A temporary directory with Markdown files in `content/` and a file
+// destination in `out/`, so a bridge can sync without Craft or Sanity.
+// `configure(config)` may change a copy of config.default.json.
+function createWorkspace(files = {}, { configure = null } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'craft-sanity-bridge-'));
+    const write = (file, text) => {
+        const filePath = path.join(dir, 'content', file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, text);
+    };
+    Object.entries(files).forEach(([file, text]) => write(file, text));
+
+    const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    if (configure) configure(config);
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(config, null, 2));
+
+    return {
+        dir,
+        write,
+        remove: (file) => fs.rmSync(path.join(dir, 'content', file)),
+        // A fresh bridge, as a new CLI run would create
+        bridge: (options = {}) => {
+            const logger = createSilentLogger();
+            const bridge = createBridge({
+                baseDir: dir,
+                source: { type: 'markdown', dir: 'content' },
+                destination: { type: 'file', dir: 'out' },
+                logger,
+                interactive: false,
+                ...options,
+            });
+            bridge.logged = logger.lines;
+            return bridge;
+        },
+        // Every document written to out/data.ndjson
+        documents: () => {
+            const dataPath = path.join(dir, 'out', 'data.ndjson');
+            if (!fs.existsSync(dataPath)) return [];
+            return fs.readFileSync(dataPath, 'utf8')
+                .split('\n')
+                .filter((line) => line.trim())
+                .map((line) => JSON.parse(line));
+        },
+        syncState: () => {
+            const statePath = path.join(dir, '.sync-state.json');
+            return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+        },
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+    };
+}
+
+// Keeps test output clean; lines are kept for assertions
+function createSilentLogger() {
+    const lines = { log: [], warn: [], error: [] };
+    return {
+        lines,
+        log: (...args) => lines.log.push(args.join(' ')),
+        warn: (...args) => lines.warn.push(args.join(' ')),
+        error: (...args) => lines.error.push(args.join(' ')),
+    };
+}
+
+module.exports = {
+    createWorkspace,
+};
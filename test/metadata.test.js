@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWorkspace } = require('./helpers');
+
+const text = (markdown) => ({ type: 'text', markdown });
+const divider = { type: 'line', markdown: '---' };
+const page = (...content) => ({ type: 'page', id: 'page-1', markdown: 'Install Guide', content });
+
+// ==============================
+// Metadata section
+// ==============================
+test('metadata is read from the lines at the top, up to the divider', (t) => {
+    const workspace = createWorkspace();
+    t.after(workspace.cleanup);
+    const bridge = workspace.bridge();
+
+    const metadata = bridge.extractMetadata(page(
+        text('Type: Page'),
+        text('Slug: install'),
+        divider,
+        text('Type: npm install'),
+        text('Slug: not-this-one'),
+    ));
+
+    assert.strictEqual(metadata.type, 'Page');
+    assert.strictEqual(metadata.slug, 'install');
+});
+
+test('a body paragraph starting with a marker is neither metadata nor dropped', async (t) => {
+    const workspace = createWorkspace();
+    t.after(workspace.cleanup);
+    const bridge = workspace.bridge();
+
+    const blocks = [text('Run this first.'), text('Type: npm install'), text('Then start the server.')];
+    const doc = { id: 'page-1', title: 'Install Guide' };
+    const metadata = bridge.extractMetadata(page(...blocks));
+
+    assert.strictEqual(metadata.type, undefined);
+    assert.strictEqual(bridge.routeDocument(doc, metadata).name, 'post');
+    const body = await bridge.convertBlocks(blocks, { dryRun: true });
+    assert.deepStrictEqual(
+        body.map((block) => block.children.map((child) => child.text).join('')),
+        ['Run this first.', 'Type: npm install', 'Then start the server.'],
+    );
+});
+
+test('the metadata section ends at the first block that is not a marker line', async (t) => {
+    const workspace = createWorkspace();
+    t.after(workspace.cleanup);
+    const bridge = workspace.bridge();
+
+    const blocks = [text('Slug: install'), text('Intro without a divider.'), text('Type: npm install')];
+    const metadata = bridge.extractMetadata(page(...blocks));
+
+    assert.strictEqual(metadata.slug, 'install');
+    assert.strictEqual(metadata.type, undefined);
+    const body = await bridge.convertBlocks(blocks, { dryRun: true });
+    assert.strictEqual(body.length, 2);
+});
+
+test('a document with a "Type:" line in its body is synced to the default target', async (t) => {
+    const workspace = createWorkspace({
+        'install.md': '---\ntitle: Install Guide\nauthor: Jan\ncategory: Docs\n---\n\nType: npm install\n\nDone.\n',
+    });
+    t.after(workspace.cleanup);
+
+    const result = await workspace.bridge().syncDocument('install');
+
+    assert.strictEqual(result.target, 'post');
+    const post = workspace.documents().find((document) => document._type === 'post');
+    assert.deepStrictEqual(
+        post.body.map((block) => block.children.map((child) => child.text).join('')),
+        ['Type: npm install', 'Done.'],
+    );
+});
+
+// ==============================
+// Routing
+// ==============================
+test('a Type: line in the metadata picks the target', async (t) => {
+    const workspace = createWorkspace({
+        'about.md': '---\ntitle: About\ntype: Page\n---\n\nAbout us.\n',
+    });
+    t.after(workspace.cleanup);
+
+    const result = await workspace.bridge().syncDocument('about');
+
+    assert.strictEqual(result.target, 'page');
+    assert.ok(workspace.documents().some((document) => document._type === 'page' && document.title === 'About'));
+});
+
+test('a Type: line naming no target stops the sync with INVALID_METADATA', async (t) => {
+    const workspace = createWorkspace({
+        'odd.md': '---\ntitle: Odd\ntype: Recipe\n---\n\nBody.\n',
+    });
+    t.after(workspace.cleanup);
+
+    await assert.rejects(workspace.bridge().syncDocument('odd', { isDraft: true }), { code: 'INVALID_METADATA' });
+    assert.deepStrictEqual(workspace.documents(), []);
+});
+
+test('routing rules match on folder', async (t) => {
+    const workspace = createWorkspace(
+        { 'pages/contact.md': '---\ntitle: Contact\n---\n\nWrite to us.\n' },
+        {
+            configure: (config) => {
+                config.sanity.routing.rules = [{ folder: 'pages', target: 'page' }];
+            },
+        },
+    );
+    t.after(workspace.cleanup);
+
+    const result = await workspace.bridge().syncDocument('pages/contact');
+
+    assert.strictEqual(result.target, 'page');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseInlineMarkdown } = require('../lib/portable-text');
+
+// ==============================
+// Inline links
+// ==============================
+test('a link URL may contain balanced parentheses', () => {
+    const { children, markDefs } = parseInlineMarkdown('See [Foo](https://en.wikipedia.org/wiki/Foo_(bar)) here');
+
+    assert.strictEqual(markDefs.length, 1);
+    assert.strictEqual(markDefs[0].href, 'https://en.wikipedia.org/wiki/Foo_(bar)');
+    assert.deepStrictEqual(
+        children.map((child) => child.text),
+        ['See ', 'Foo', ' here'],
+    );
+});
+
+test('a link inside parentheses ends at its own closing parenthesis', () => {
+    const { children, markDefs } = parseInlineMarkdown('(see [Foo](https://example.com/foo))');
+
+    assert.strictEqual(markDefs[0].href, 'https://example.com/foo');
+    assert.strictEqual(children[children.length - 1].text, ')');
+});
+
+test('parentheses in a link title do not end the link', () => {
+    const { markDefs } = parseInlineMarkdown('[Foo](https://example.com "Foo (bar") after');
+
+    assert.strictEqual(markDefs[0].href, 'https://example.com');
+    assert.strictEqual(markDefs[0].title, 'Foo (bar');
+});
+
+test('a link with an unbalanced parenthesis stays text', () => {
+    const { children, markDefs } = parseInlineMarkdown('[Foo](https://example.com/(bar');
+
+    assert.strictEqual(markDefs.length, 0);
+    assert.strictEqual(children.map((child) => child.text).join(''), '[Foo](https://example.com/(bar');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWorkspace } = require('./helpers');
+
+const post = (title, body = 'Body.', extra = '') =>
+    `---\ntitle: ${title}\nauthor: Jan\ncategory: News\n${extra}---\n\n${body}\n`;
+
+const posts = (workspace) => workspace.documents().filter((document) => document._type === 'post');
+
+// ==============================
+// Draft and publish transitions
+// ==============================
+test('publishing a draft-only document keeps its ID and removes the draft', async (t) => {
+    const workspace = createWorkspace({ 'hello.md': post('Hello') });
+    t.after(workspace.cleanup);
+
+    const draft = await workspace.bridge().syncDocument('hello', { isDraft: true });
+    assert.match(draft.post._id, /^drafts\./);
+
+    const published = await workspace.bridge().syncDocument('hello');
+
+    assert.strictEqual(published.post._id, draft.post._id.replace(/^drafts\./, ''));
+    assert.deepStrictEqual(posts(workspace).map((document) => document._id), [published.post._id]);
+});
+
+test('publishing over a published document removes its newer draft', async (t) => {
+    const workspace = createWorkspace({ 'hello.md': post('Hello') });
+    t.after(workspace.cleanup);
+
+    const first = await workspace.bridge().syncDocument('hello');
+    workspace.write('hello.md', post('Hello', 'Edited body.'));
+    const draft = await workspace.bridge().syncDocument('hello', { isDraft: true });
+    assert.strictEqual(draft.post._id, `drafts.${first.post._id}`);
+    assert.strictEqual(posts(workspace).length, 2);
+
+    await workspace.bridge().syncDocument('hello');
+
+    const [published] = posts(workspace);
+    assert.deepStrictEqual(posts(workspace).map((document) => document._id), [first.post._id]);
+    assert.strictEqual(published.body[0].children[0].text, 'Edited body.');
+});
+
+test('publishing without a draft writes no delete', async (t) => {
+    const workspace = createWorkspace({ 'hello.md': post('Hello') });
+    t.after(workspace.cleanup);
+
+    await workspace.bridge().syncDocument('hello');
+    workspace.write('hello.md', post('Hello', 'Second version.'));
+    const bridge = workspace.bridge();
+    await bridge.syncDocument('hello');
+
+    assert.ok(!bridge.logged.log.some((line) => line.includes('Discarding draft')));
+    assert.strictEqual(posts(workspace).length, 1);
+});
+
+test('a slug change queues a redirect in draft mode too', async (t) => {
+    const workspace = createWorkspace(
+        { 'hello.md': post('Hello') },
+        {
+            configure: (config) => {
+                config.sanity.redirect.enabled = true;
+            },
+        },
+    );
+    t.after(workspace.cleanup);
+
+    await workspace.bridge().syncDocument('hello', { isDraft: true });
+    workspace.write('hello.md', post('Hello Again'));
+    const result = await workspace.bridge().syncDocument('hello', { isDraft: true });
+
+    assert.strictEqual(result.previousSlug, 'hello');
+    const redirects = workspace.documents().filter((document) => document._type === 'redirect');
+    assert.deepStrictEqual(
+        redirects.map((redirect) => [redirect.source, redirect.destination]),
+        [['/posts/hello', '/posts/hello-again']],
+    );
+});
+
+test('publish mode stops on validation errors and writes nothing', async (t) => {
+    const workspace = createWorkspace({ 'bare.md': '---\ntitle: Bare\n---\n\nBody.\n' });
+    t.after(workspace.cleanup);
+
+    await assert.rejects(workspace.bridge().syncDocument('bare'), { code: 'VALIDATION_FAILED' });
+    assert.deepStrictEqual(workspace.documents(), []);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWorkspace } = require('./helpers');
+
+// ==============================
+// Reference resolution
+// ==============================
+test('a document without an Author line is written without an author', async (t) => {
+    const workspace = createWorkspace({
+        'no-author.md': '---\ntitle: No Author\n---\n\nBody.\n',
+    });
+    t.after(workspace.cleanup);
+
+    await workspace.bridge().syncDocument('no-author', { isDraft: true });
+
+    const documents = workspace.documents();
+    const post = documents.find((document) => document._type === 'post');
+    assert.strictEqual(post.title, 'No Author');
+    assert.strictEqual(post.author, undefined);
+    assert.strictEqual(post.categories, undefined);
+    // The "Unknown" / "Uncategorized" defaults are not created
+    assert.deepStrictEqual(
+        documents.filter((document) => ['author', 'category'].includes(document._type)),
+        [],
+    );
+});
+
+test('a defaulted value matches an existing document', async (t) => {
+    const workspace = createWorkspace({
+        'unknown.md': '---\ntitle: Written by Unknown\nauthor: Unknown\ncategory: News\n---\n\nBody.\n',
+        'no-author.md': '---\ntitle: No Author\ncategory: News\n---\n\nBody.\n',
+    });
+    t.after(workspace.cleanup);
+
+    // The first document creates "Unknown" from its own Author line
+    const bridge = workspace.bridge();
+    await bridge.syncDocument('unknown', { isDraft: true });
+    await bridge.syncDocument('no-author', { isDraft: true });
+
+    const documents = workspace.documents();
+    const authors = documents.filter((document) => document._type === 'author');
+    assert.deepStrictEqual(authors.map((author) => author.name), ['Unknown']);
+    const post = documents.find((document) => document.title === 'No Author');
+    assert.deepStrictEqual(post.author, { _type: 'reference', _ref: authors[0]._id });
+});
+
+test('values listed twice are referenced once and new documents are created', async (t) => {
+    const workspace = createWorkspace({
+        'post.md': '---\ntitle: Post\nauthor: Jan\ncategory: [News, News, Keyboards]\n---\n\nBody.\n',
+    });
+    t.after(workspace.cleanup);
+
+    const result = await workspace.bridge().syncDocument('post');
+
+    const documents = workspace.documents();
+    const categories = documents.filter((document) => document._type === 'category');
+    assert.deepStrictEqual(categories.map((category) => category.title).sort(), ['Keyboards', 'News']);
+    const post = documents.find((document) => document._type === 'post');
+    assert.strictEqual(post.categories.length, 2);
+    assert.deepStrictEqual(
+        result.references.map((reference) => `${reference.key}:${reference.value}`).sort(),
+        ['author:Jan', 'categories:Keyboards', 'categories:News'],
+    );
+});
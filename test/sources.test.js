@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWorkspace } = require('./helpers');
+
+const exportBridge = (workspace) => workspace.bridge({ source: { type: 'craft-export', dir: 'content' } });
+
+// ==============================
+// Unusual source documents
+// ==============================
+test('a page block without markdown or content syncs as an empty draft', async (t) => {
+    const workspace = createWorkspace({
+        'empty.json': JSON.stringify({ type: 'page', id: 'empty-page' }),
+    });
+    t.after(workspace.cleanup);
+    const bridge = exportBridge(workspace);
+
+    const metadata = bridge.extractMetadata({ type: 'page' });
+    assert.strictEqual(metadata.title, 'Untitled');
+    assert.strictEqual(metadata.slug, 'untitled');
+
+    const result = await bridge.syncDocument('empty-page', { isDraft: true });
+
+    assert.match(result.post._id, /^drafts\./);
+    const [draft] = workspace.documents().filter((document) => document._type === 'post');
+    assert.strictEqual(draft.title, 'Untitled');
+    assert.deepStrictEqual(draft.body, []);
+});
+
+test('an empty Markdown file syncs as an empty draft', async (t) => {
+    const workspace = createWorkspace({ 'blank.md': '' });
+    t.after(workspace.cleanup);
+
+    const result = await workspace.bridge().syncDocument('blank', { isDraft: true });
+
+    assert.strictEqual(result.slug, 'blank');
+});
+
+test('a source that returns no blocks fails with SOURCE_ERROR', async (t) => {
+    const workspace = createWorkspace({ 'none.json': '[]' });
+    t.after(workspace.cleanup);
+
+    await assert.rejects(exportBridge(workspace).syncDocument('none', { isDraft: true }), { code: 'SOURCE_ERROR' });
+});
+
+// ==============================
+// Source configuration
+// ==============================
+test('a missing source directory is an INVALID_CONFIG error', async (t) => {
+    const workspace = createWorkspace();
+    t.after(workspace.cleanup);
+
+    const bridge = workspace.bridge({ source: { type: 'markdown', dir: 'missing' } });
+
+    assert.throws(() => bridge.getSource(), { code: 'INVALID_CONFIG' });
+});
+
+test('unreadable front matter fails with SOURCE_ERROR', async (t) => {
+    const workspace = createWorkspace({ 'bad.md': '---\n!!not a pair\n---\n\nBody.\n' });
+    t.after(workspace.cleanup);
+
+    await assert.rejects(workspace.bridge().listDocuments(), { code: 'SOURCE_ERROR' });
+});
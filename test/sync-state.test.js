@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createWorkspace } = require('./helpers');
+
+const post = (title, body = 'Body.') => `---\ntitle: ${title}\nauthor: Jan\ncategory: News\n---\n\n${body}\n`;
+
+const statusOf = async (bridge, id, options) =>
+    (await bridge.getSyncStatus(options)).find((status) => status.id === id);
+
+// ==============================
+// Sync state
+// ==============================
+test('syncing one document records it in the sync state', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A'), 'b.md': post('B') });
+    t.after(workspace.cleanup);
+
+    const result = await workspace.bridge().syncDocument('a', { isDraft: true });
+
+    const [state] = Object.values(workspace.syncState());
+    assert.deepStrictEqual(Object.keys(state), ['a']);
+    assert.strictEqual(state.a.postId, result.post._id);
+    assert.strictEqual(state.a.mode, 'draft');
+    assert.strictEqual(state.a.target, 'post');
+
+    const bridge = workspace.bridge();
+    assert.strictEqual((await statusOf(bridge, 'a', { isDraft: true })).status, 'unchanged');
+    assert.strictEqual((await statusOf(bridge, 'b', { isDraft: true })).status, 'new');
+});
+
+test('sync --all skips a document synced on its own', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A'), 'b.md': post('B') });
+    t.after(workspace.cleanup);
+
+    await workspace.bridge().syncDocument('a');
+    const results = await workspace.bridge().syncAll();
+
+    assert.deepStrictEqual(
+        results.map((result) => [result.id, result.status]),
+        [['a', 'skipped'], ['b', 'created']],
+    );
+});
+
+test('a dry run records nothing', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A') });
+    t.after(workspace.cleanup);
+
+    await workspace.bridge().syncDocument('a', { dryRun: true });
+
+    assert.deepStrictEqual(workspace.syncState(), {});
+});
+
+test('edits and a switch to publish mode count as changes', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A') });
+    t.after(workspace.cleanup);
+
+    await workspace.bridge().syncDocument('a', { isDraft: true });
+    assert.strictEqual((await statusOf(workspace.bridge(), 'a')).status, 'changed');
+
+    workspace.write('a.md', post('A', 'Edited.'));
+    assert.strictEqual((await statusOf(workspace.bridge(), 'a', { isDraft: true })).status, 'changed');
+});
+
+test('documents already in the destination are not reported as new without a sync state', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A'), 'b.md': post('B') });
+    t.after(workspace.cleanup);
+
+    const result = await workspace.bridge().syncDocument('a');
+    // A fresh checkout: same destination, no local state
+    fs.rmSync(path.join(workspace.dir, '.sync-state.json'));
+
+    const statuses = await workspace.bridge().getSyncStatus({ quick: true });
+
+    const a = statuses.find((status) => status.id === 'a');
+    assert.strictEqual(a.status, 'unknown');
+    assert.strictEqual(a.postId, result.post._id);
+    assert.strictEqual(a.mode, 'published');
+    assert.strictEqual(statuses.find((status) => status.id === 'b').status, 'new');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: delay } = require('timers/promises');
+const { createWorkspace } = require('./helpers');
+
+const post = (title, body = 'Body.') => `---\ntitle: ${title}\nauthor: Jan\ncategory: News\n---\n\n${body}\n`;
+
+const drafts = (workspace) =>
+    workspace.documents().filter((document) => document._type === 'post' && document._id.startsWith('drafts.'));
+
+async function waitFor(check, timeout = 5000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting for the watch');
+        await delay(20);
+    }
+}
+
+// Runs a watch with short intervals until `steps` are done
+async function watch(workspace, options, steps) {
+    const controller = new AbortController();
+    const watching = workspace.bridge().watch({ interval: 20, debounce: 0, signal: controller.signal, ...options });
+    try {
+        await steps();
+    } finally {
+        controller.abort();
+    }
+    return watching;
+}
+
+// ==============================
+// Watch mode change detection
+// ==============================
+test('the first poll is a baseline: only later edits are synced', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A'), 'b.md': post('B') });
+    t.after(workspace.cleanup);
+
+    const totals = await watch(workspace, {}, async () => {
+        await delay(200);
+        assert.deepStrictEqual(drafts(workspace), []);
+
+        workspace.write('a.md', post('A', 'Edited while watching.'));
+        await waitFor(() => drafts(workspace).length > 0);
+    });
+
+    assert.deepStrictEqual(totals, { synced: 1, failed: 0 });
+    const [draft] = drafts(workspace);
+    assert.strictEqual(draft.title, 'A');
+    assert.strictEqual(draft.body[0].children[0].text, 'Edited while watching.');
+    assert.deepStrictEqual(Object.keys(Object.values(workspace.syncState())[0]), ['a']);
+});
+
+test('documents created while watching are synced', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A') });
+    t.after(workspace.cleanup);
+
+    const totals = await watch(workspace, {}, async () => {
+        await delay(100);
+        workspace.write('new.md', post('New'));
+        await waitFor(() => drafts(workspace).length > 0);
+    });
+
+    assert.deepStrictEqual(totals, { synced: 1, failed: 0 });
+    assert.strictEqual(drafts(workspace)[0].title, 'New');
+});
+
+test('with catchUp, documents changed since their last sync are synced right away', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A'), 'b.md': post('B'), 'c.md': post('C') });
+    t.after(workspace.cleanup);
+
+    await workspace.bridge().syncDocument('a', { isDraft: true });
+    await workspace.bridge().syncDocument('b', { isDraft: true });
+    workspace.write('b.md', post('B', 'Edited while nobody watched.'));
+    const before = drafts(workspace).find((document) => document.title === 'A');
+
+    const totals = await watch(workspace, { catchUp: true }, async () => {
+        await waitFor(() => drafts(workspace).length === 3);
+        await delay(100);
+    });
+
+    // b changed and c was never synced; a is left alone
+    assert.deepStrictEqual(totals, { synced: 2, failed: 0 });
+    assert.deepStrictEqual(drafts(workspace).find((document) => document.title === 'A'), before);
+});
+
+test('watch limited to some documents ignores the others', async (t) => {
+    const workspace = createWorkspace({ 'a.md': post('A'), 'b.md': post('B') });
+    t.after(workspace.cleanup);
+
+    const totals = await watch(workspace, { ids: ['b'] }, async () => {
+        await delay(100);
+        workspace.write('a.md', post('A', 'Edited.'));
+        workspace.write('b.md', post('B', 'Edited.'));
+        await waitFor(() => drafts(workspace).length > 0);
+        await delay(100);
+    });
+
+    assert.deepStrictEqual(totals, { synced: 1, failed: 0 });
+    assert.deepStrictEqual(drafts(workspace).map((document) => document.title), ['B']);
+});